@@ -1,8 +1,24 @@
+const path = require('path').posix
 const Hyperbee = require('hyperbee')
 const Hyperblobs = require('hyperblobs')
 const isOptions = require('is-options')
 const { EventEmitter } = require('events')
-const { Writable, Readable } = require('streamx')
+const { Writable, Readable, Transform, pipeline } = require('streamx')
+const errors = require('./lib/errors')
+const FileHandle = require('./lib/file-handle')
+const mirror = require('./lib/mirror')
+const stat = require('./lib/stat')
+const ContentHash = require('./lib/hash')
+const Download = require('./lib/download')
+const { globBase, createFilter } = require('./lib/glob')
+const { segmentsOf, hasContent, contentLength, blobsOf, slice, splice } = require('./lib/segments')
+const compression = require('./lib/compression')
+const tar = require('./lib/tar')
+
+// same limit as most unix kernels use when resolving symlinks
+const MAX_SYMLINKS = 40
+// same readahead as the default Hyperblobs prefetcher
+const PREFETCH_BLOCKS = 10
 
 module.exports = class HyperBundle extends EventEmitter {
   constructor (corestore, key, opts = {}) {
@@ -12,13 +28,18 @@ module.exports = class HyperBundle extends EventEmitter {
       opts = key
       key = null
     }
-    const { _checkout, _db, _files, onwait } = opts
+    const { _checkout, _db, _files, _mounts, _writes, onwait, dedup = false, compression: type = null, encryptionKey = null, encryptEntries = false } = opts
     this._onwait = onwait || null
 
     this.corestore = corestore
-    this.db = _db || makeBee(key, corestore, this._onwait)
+    this.encryptionKey = encryptionKey
+    this.db = _db || makeBee(key, corestore, this._onwait, encryptEntries ? encryptionKey : null)
     this.files = _files || this.db.sub('files')
+    this.hashes = this.db.sub('hashes')
+    this._tags = this.db.sub('tags')
     this.blobs = null
+    this.dedup = dedup
+    this.compression = compression.validate(type)
 
     this.opening = this._open()
     this.opening.catch(noop)
@@ -28,6 +49,14 @@ module.exports = class HyperBundle extends EventEmitter {
     this._checkout = _checkout || null
     this._batching = !!_files
     this._closing = null
+    this._clearing = []
+    this._deferred = []
+    this._failed = null
+    // the drives mounted in this one, shared with its checkouts and batches
+    this._mounts = _mounts || new Map()
+    // the writes appending blobs that are not recorded in an entry yet, shared so gc sees those of batches
+    this._writes = _writes || new Set()
+    this._unflushed = []
   }
 
   [Symbol.asyncIterator] () {
@@ -67,25 +96,96 @@ module.exports = class HyperBundle extends EventEmitter {
   }
 
   checkout (len) {
+    // tags can only be resolved asynchronously, so a promise of the checkout is returned for those
+    if (typeof len === 'string') return this._checkoutTag(len)
+
     return new HyperBundle(this.corestore, this.key, {
       onwait: this._onwait,
+      dedup: this.dedup,
+      compression: this.compression,
+      encryptionKey: this.encryptionKey,
       _checkout: this,
       _db: this.db.checkout(len),
-      _files: null
+      _files: null,
+      _mounts: this._mounts,
+      _writes: this._writes
     })
   }
 
+  async _checkoutTag (name) {
+    const node = await this._tags.get(name)
+    if (!node) throw errors.ENOENT('No such tag: ' + name)
+    return this.checkout(node.value.version)
+  }
+
+  async tag (name, version = 0) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    // tags replicate, and a version that does not exist yet would never finish loading on any peer
+    if (version > this.version) throw errors.EINVAL('No such version: ' + version)
+    return this._writeSub(this._tags, name, { version: version || this.version })
+  }
+
+  async untag (name) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    return this._writeSub(this._tags, name, null)
+  }
+
+  tags () {
+    if (this._closing) return closedStream()
+    return pipeline(
+      this._tags.createReadStream(),
+      new Transform({
+        transform (node, cb) {
+          cb(null, { name: node.key, version: node.value.version })
+        }
+      })
+    )
+  }
+
   batch () {
+    this._checkWritable()
+
     return new HyperBundle(this.corestore, this.key, {
       onwait: this._onwait,
+      dedup: this.dedup,
+      compression: this.compression,
+      encryptionKey: this.encryptionKey,
       _checkout: null,
       _db: this.db,
-      _files: this.files.batch()
+      _files: this.files.batch(),
+      _mounts: this._mounts,
+      _writes: this._writes
     })
   }
 
-  flush () {
-    return this.files.flush()
+  async flush () {
+    if (this._failed) {
+      const err = this._failed
+      this._failed = null
+      this._clearing = []
+      this._deferred = []
+      this._releaseWrites()
+      this.files.destroy()
+      throw err
+    }
+
+    try {
+      await this.files.flush()
+    } finally {
+      this._releaseWrites()
+    }
+
+    // the other subs share the lock of the batch, so they are only written once that is released
+    const deferred = this._deferred
+    this._deferred = []
+    for (const { db, key, value } of deferred) await writeSub(db, key, value)
+
+    // only reclaim blobs once the entries pointing at them are gone for good
+    const clearing = this._clearing
+    this._clearing = []
+    for (const value of clearing) await this._clearBlobs(value)
   }
 
   close () {
@@ -95,7 +195,10 @@ module.exports = class HyperBundle extends EventEmitter {
   }
 
   async _close () {
-    if (this._batching) return this.files.close()
+    if (this._batching) {
+      this._releaseWrites()
+      return this.files.destroy()
+    }
 
     try {
       await this.ready()
@@ -103,24 +206,44 @@ module.exports = class HyperBundle extends EventEmitter {
       await this.db.feed.close()
     } catch {}
 
+    if (!this._checkout) {
+      for (const drive of this._mounts.values()) await drive.close()
+    }
+
     this.emit('close')
   }
 
   async _openBlobsFromHeader (opts) {
     if (this.blobs) return true
 
-    const header = await this.db.getHeader(opts)
+    let header = null
+    try {
+      header = await this.db.getHeader(opts)
+    } catch (err) {
+      // an encrypted header cannot be decoded without the key
+      if (!this.encryptionKey) throw errors.EENCRYPTED('Drive entries are encrypted, an encryption key is required')
+      throw err
+    }
     if (!header) return false
 
     if (this.blobs) return true
 
+    if (header.protocol !== 'hyperbee' && !this.encryptionKey) {
+      throw errors.EENCRYPTED('Drive entries are encrypted, an encryption key is required')
+    }
+
+    if (headerInfo(header).encrypted && !this.encryptionKey) {
+      throw errors.EENCRYPTED('Drive content is encrypted, an encryption key is required')
+    }
+
     const blobsKey = header.metadata && header.metadata.contentFeed.subarray(0, 32)
-    if (!blobsKey || blobsKey.length < 32) throw new Error('Invalid or no Blob store key set')
+    if (!blobsKey || blobsKey.length < 32) throw errors.EBLOBKEY('Invalid or no blob store key set in the drive header')
 
     const blobsCore = this.corestore.get({
       key: blobsKey,
       cache: false,
-      onwait: this._onwait
+      onwait: this._onwait,
+      encryptionKey: this.encryptionKey
     })
     await blobsCore.ready()
 
@@ -141,12 +264,14 @@ module.exports = class HyperBundle extends EventEmitter {
       const blobsCore = this.corestore.get({
         name: 'blobs',
         cache: false,
-        onwait: this._onwait
+        onwait: this._onwait,
+        encryptionKey: this.encryptionKey
       })
       await blobsCore.ready()
 
       this.blobs = new Hyperblobs(blobsCore)
       this.db.metadata.contentFeed = this.blobs.core.key
+      if (this.encryptionKey) this.db.metadata.userData = Buffer.from(JSON.stringify({ encrypted: true }))
     }
 
     await this.db.ready()
@@ -162,6 +287,7 @@ module.exports = class HyperBundle extends EventEmitter {
   }
 
   async getBlobs () {
+    this._checkOpen()
     if (this.blobs) return this.blobs
 
     if (this._checkout) {
@@ -174,37 +300,621 @@ module.exports = class HyperBundle extends EventEmitter {
     return this.blobs
   }
 
-  async get (name) {
-    const node = await this.entry(name)
-    if (!node?.value.blob) return null
+  async get (name, { follow = true, start, end, length } = {}) {
+    const node = await this.entry(name, { follow })
+
+    if (!node) {
+      if (await this.stat(name)) throw errors.EISDIR('Is a directory: ' + name)
+      return null
+    }
+
+    if (node.value.linkname) throw errors.ELOOP('Is a symbolic link: ' + node.key)
+    if (isFolder(node.value)) throw errors.EISDIR('Is a directory: ' + node.key)
+    if (!hasContent(node.value)) return Buffer.alloc(0)
+
+    const drive = ownerOf(node, this)
+    await drive.getBlobs()
+
+    const chunks = []
+    for await (const chunk of await drive._createContentStream(node.value, { start, end, length })) {
+      chunks.push(chunk)
+    }
+    return Buffer.concat(chunks)
+  }
+
+  async open (name, opts) {
+    const node = await this.entry(name, { follow: true })
+    if (!node) throw await this._notFound(name)
+    if (isFolder(node.value)) throw errors.EISDIR('Is a directory: ' + node.key)
+    return new FileHandle(await ownerOf(node, this).getBlobs(), node, opts)
+  }
+
+  async put (name, buf, { executable = false, metadata = null, mtime = null, clear = false, compression: type = this.compression, ifVersion, ifNotExists = false, ifMatch } = {}) {
+    this._checkWritable()
     await this.getBlobs()
-    return this.blobs.get(node.value.blob)
+    const conditions = { ifVersion, ifNotExists, ifMatch }
+    const prev = (clear || hasConditions(conditions)) ? await this.files.get(name) : null
+
+    // fail before appending a blob that would never be referenced
+    if (!matchConditions(prev, conditions)) throw this._conditionFailed(name)
+
+    type = compression.validate(type)
+
+    const hash = ContentHash.from(buf, this.encryptionKey)
+    const write = this._beginWrite()
+
+    try {
+      const reused = this.dedup && await this._findBlob(indexKey(hash, type))
+      const id = reused || await this.blobs.put(type ? await compression.compress(buf, type) : buf)
+      const compressed = type ? { type, byteLength: buf.byteLength } : null
+
+      try {
+        await this._write(name, fileEntry(id, { executable, metadata, mtime, hash, compression: compressed }), conditions)
+      } catch (err) {
+        if (!reused) await this.blobs.core.clear(id.blockOffset, id.blockOffset + id.blockLength)
+        throw err
+      }
+
+      if (this.dedup && !reused) await this._indexBlob(indexKey(hash, type), id)
+    } finally {
+      this._endWrite(write)
+    }
+
+    if (clear && prev) await this._clear(prev.value)
   }
 
-  async put (name, buf, { executable = false, metadata = null } = {}) {
+  async write (name, buf, position) {
+    this._checkWritable()
+    // the content written to is read first, and that of a mounted entry is not in this blob store
+    await this._checkUnmounted(path.dirname(name))
     await this.getBlobs()
-    const id = await this.blobs.put(buf)
-    return this.files.put(name, { executable, linkname: null, blob: id, metadata })
+
+    // like writing to a file on disk, symlinks are followed
+    const prev = await this.entry(name, { follow: true })
+    if (prev) await this._checkUnmounted(path.dirname(prev.key))
+    const size = prev ? contentLength(prev.value) : 0
+
+    if (position === undefined || position === null) position = size
+
+    if (prev && prev.value.compression) {
+      // compressed content cannot be partially replaced, so all of it is written again
+      const content = Buffer.alloc(Math.max(size, position + buf.byteLength))
+      ;(await this.get(prev, { follow: false })).copy(content)
+      buf.copy(content, position)
+
+      const { executable, metadata } = prev.value
+      return this.put(prev.key, content, { executable, metadata, compression: prev.value.compression.type, ifVersion: prev.seq + 1 })
+    }
+
+    // writing past the end leaves a hole, filled with zeros
+    if (position > size) {
+      buf = Buffer.concat([Buffer.alloc(position - size), buf])
+      position = size
+    }
+
+    if (buf.byteLength === 0) return
+
+    const write = this._beginWrite()
+
+    try {
+      const id = await this.blobs.put(buf)
+      const segments = splice(prev ? segmentsOf(prev.value) : [], position, { blob: id, start: 0, length: id.byteLength })
+      const { executable = false, metadata = null } = prev ? prev.value : {}
+
+      try {
+        const hash = await this._hashSegments(segments)
+        // the new segments are based on the current ones, so they must not have changed meanwhile
+        await this._write(prev ? prev.key : name, contentEntry(segments, { executable, metadata, hash }), prev ? { ifVersion: prev.seq + 1 } : { ifNotExists: true })
+      } catch (err) {
+        await this.blobs.core.clear(id.blockOffset, id.blockOffset + id.blockLength)
+        throw err
+      }
+    } finally {
+      this._endWrite(write)
+    }
+  }
+
+  // blocks appended from here on can belong to a write that is not recorded in an entry yet, so gc keeps them
+  _beginWrite () {
+    const write = { offset: this.blobs.core.length }
+    this._writes.add(write)
+    return write
+  }
+
+  _endWrite (write) {
+    // the entries of a batch are only committed once it is flushed
+    if (this._batching) this._unflushed.push(write)
+    else this._writes.delete(write)
+  }
+
+  _releaseWrites () {
+    for (const write of this._unflushed) this._writes.delete(write)
+    this._unflushed = []
+  }
+
+  async _hashSegments (segments) {
+    const hash = new ContentHash(this.encryptionKey)
+    for await (const chunk of this._readSegments(segments)) hash.update(chunk)
+    return hash.digest()
+  }
+
+  async _appendBase (name, conditions, hash) {
+    await this._checkUnmounted(path.dirname(name))
+
+    const node = await this.entry(name, { follow: true })
+    if (node) await this._checkUnmounted(path.dirname(node.key))
+    if (!matchConditions(node, conditions)) throw this._conditionFailed(name)
+
+    // compressed content cannot be appended to, so it is written again
+    const chunks = node && node.value.compression ? [] : null
+
+    // the hash covers all of the content, so it starts with the content appended to
+    if (node) {
+      const drive = ownerOf(node, this)
+      await drive.getBlobs()
+
+      for await (const chunk of await drive._createContentStream(node.value)) {
+        hash.update(chunk)
+        if (chunks) chunks.push(chunk)
+      }
+    }
+
+    return { node, content: chunks && Buffer.concat(chunks) }
+  }
+
+  async _write (name, value, conditions) {
+    await this._checkUnmounted(path.dirname(name))
+
+    // cas only runs for an existing entry, so the conditions on a missing one are checked up front
+    let ok = !hasConditions(conditions) || matchConditions(await this.files.get(name), conditions)
+    let isDir = false
+
+    // checked again under the lock of the write, in case the entry changed in the meantime,
+    // and directories and mounts are only ever replaced or removed by their own methods
+    const cas = (prev) => {
+      ok = matchConditions(prev, conditions)
+      isDir = ok && isFolder(prev.value) && !(value && entryType(value) === entryType(prev.value))
+      return ok && !isDir
+    }
+
+    if (ok) {
+      if (value) await this.files.put(name, value, { cas })
+      else await this.files.del(name, { cas })
+    }
+
+    if (isDir) throw errors.EISDIR('Is a directory: ' + name)
+    if (!ok) throw this._conditionFailed(name)
+  }
+
+  // the cores of a closed drive fail with their own errors, so the drive fails before reaching them
+  _checkOpen () {
+    if (this._closing) throw errors.ECLOSED('Drive is closed')
+  }
+
+  _checkWritable () {
+    this._checkOpen()
+    // checkouts are read-only snapshots of the drive at a version
+    if (this._checkout) throw errors.ESNAPSHOT('Cannot write to a checkout of the drive')
+  }
+
+  // entries below a mount point are read from the mounted drive, so they would be hidden by it
+  async _checkUnmounted (name) {
+    const mount = await this._findMount(name)
+    if (mount) throw errors.EROFS('Cannot write below the mount at ' + mount.key)
+  }
+
+  // a missing entry can still be a folder, as those only exist through the entries in them
+  async _notFound (name) {
+    if (await this.stat(name)) return errors.EISDIR('Is a directory: ' + name)
+    return errors.ENOENT('No such file: ' + name)
+  }
+
+  _conditionFailed (name) {
+    const err = errors.EPRECONDITION('Precondition failed for ' + name)
+    // a batch is all or nothing, so it can no longer be flushed
+    if (this._batching) this._failed = err
+    return err
+  }
+
+  async _findBlob (hash) {
+    const pending = this._deferred.find((d) => d.db === this.hashes && d.key === hash)
+    if (pending) return pending.value
+
+    const node = await this.hashes.get(hash)
+    if (!node) return null
+
+    // the blob might have been cleared locally since it was indexed
+    const { blockOffset, blockLength } = node.value
+    for (let i = blockOffset; i < blockOffset + blockLength; i++) {
+      if (!(await this.blobs.core.has(i))) return null
+    }
+
+    return node.value
   }
 
-  async del (name) {
+  _indexBlob (hash, id) {
+    return this._writeSub(this.hashes, hash, id)
+  }
+
+  _writeSub (db, key, value) {
+    if (this._batching) {
+      this._deferred.push({ db, key, value })
+      return Promise.resolve()
+    }
+    return writeSub(db, key, value)
+  }
+
+  async del (name, { clear = false, ifVersion, ifNotExists = false, ifMatch } = {}) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    const prev = clear ? await this.files.get(name) : null
+    await this._write(name, null, { ifVersion, ifNotExists, ifMatch })
+    if (prev) await this._clear(prev.value)
+  }
+
+  async symlink (name, dst, { metadata = null, mtime = null, clear = false, ifVersion, ifNotExists = false, ifMatch } = {}) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    const prev = clear ? await this.files.get(name) : null
+    await this._write(name, linkEntry(dst, { metadata, mtime }), { ifVersion, ifNotExists, ifMatch })
+    if (prev) await this._clear(prev.value)
+  }
+
+  async mkdir (name, { metadata = null, mtime = null } = {}) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    if (name.endsWith('/')) name = name.slice(0, -1)
+
+    // like fs.mkdir, a folder that exists already is an error, but its parents are implied
+    if (!name || await this.files.get(name)) throw errors.EEXIST('File exists: ' + (name || '/'))
+    await this._write(name, dirEntry({ metadata, mtime }), {})
+  }
+
+  async rmdir (name, { recursive = false } = {}) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    if (name.endsWith('/')) name = name.slice(0, -1)
+
+    const node = name ? await this.files.get(name) : null
+    if (node && !node.value.directory) throw errors.ENOTDIR('Not a directory: ' + name)
+    await this._checkUnmounted(path.dirname(name))
+
+    const range = { gt: name + '/', lt: name + '0' }
+    const empty = !(await this.files.peek(range))
+
+    if (!node && empty) throw errors.ENOENT('No such directory: ' + (name || '/'))
+    if (!empty && !recursive) throw errors.ENOTEMPTY('Directory not empty: ' + (name || '/'))
+
+    // the whole tree is removed in a single batch, so it never shows up half removed
+    const batch = this._batching ? this.files : this.files.batch()
+
+    const keys = []
+    if (!empty) {
+      for await (const { key } of this.files.createReadStream(range)) keys.push(key)
+    }
+    if (node) keys.push(name)
+
+    for (const key of keys) await batch.del(key)
+
+    if (batch !== this.files) await batch.flush()
+  }
+
+  async mount (name, key, { version = 0 } = {}) {
+    this._checkWritable()
+    if (!this.opened) await this.ready()
+    if (name.endsWith('/')) name = name.slice(0, -1)
+
+    const prev = name ? await this.files.get(name) : null
+    if (!name || (prev && !prev.value.mount)) throw errors.EEXIST('File exists: ' + (name || '/'))
+    // entries already below the mount point would be hidden by the mounted drive
+    if (await this.files.peek({ gt: name + '/', lt: name + '0' })) throw errors.ENOTEMPTY('Directory not empty: ' + name)
+
+    await this._write(name, mountEntry(typeof key === 'string' ? key : key.toString('hex'), version), {})
+  }
+
+  async unmount (name) {
+    this._checkWritable()
     if (!this.opened) await this.ready()
-    return this.files.del(name)
+    if (name.endsWith('/')) name = name.slice(0, -1)
+
+    const node = await this.files.get(name)
+    if (!node || !node.value.mount) throw errors.ENOENT('Not a mount point: ' + name)
+    await this.files.del(name)
+  }
+
+  mounts () {
+    if (this._closing) return closedStream()
+    return pipeline(
+      this.files.createReadStream(),
+      new Transform({
+        transform (node, cb) {
+          if (!node.value.mount) return cb(null)
+          const { key, version } = node.value.mount
+          cb(null, { path: node.key, key: Buffer.from(key, 'hex'), version })
+        }
+      })
+    )
+  }
+
+  // seen holds the keys of the drives on the path to the mount, which a cycle of mounts would descend into forever
+  async _openMount (node, seen = null) {
+    const { key, version } = node.value.mount
+
+    if (!seen) seen = new Set([this.key.toString('hex')])
+    if (seen.has(key)) throw errors.ELOOP('Too many levels of mounts: ' + node.key)
+
+    let drive = this._mounts.get(key)
+    if (!drive) {
+      drive = new HyperBundle(this.corestore, Buffer.from(key, 'hex'), { onwait: this._onwait })
+      this._mounts.set(key, drive)
+    }
+
+    // a pinned version is read from a checkout, which shares the cores of the mounted drive
+    await drive.ready()
+    return { drive: version ? drive.checkout(version) : drive, seen: new Set([...seen, key]) }
+  }
+
+  // the closest mount point at or above name, as entries are only looked up in mounts after missing here
+  async _findMount (name) {
+    const parts = name.split('/')
+
+    for (let i = 2; i <= parts.length; i++) {
+      const node = await this.files.get(parts.slice(0, i).join('/'))
+      if (node && node.value.mount) return node
+    }
+
+    return null
+  }
+
+  async _lookup (name, seen = null) {
+    const node = await this.files.get(name)
+    if (node) return node
+
+    const mount = await this._findMount(name)
+    if (!mount) return null
+
+    const { drive, seen: below } = await this._openMount(mount, seen)
+    const inner = await drive._lookup(name.slice(mount.key.length), below)
+    return inner && mountedNode(mount.key, inner, drive)
+  }
+
+  copy (src, dst) {
+    return this._copy(src, dst, false)
+  }
+
+  move (src, dst) {
+    return this._copy(src, dst, true)
   }
 
-  async symlink (name, dst, { metadata = null } = {}) {
+  async _copy (src, dst, move) {
+    this._checkWritable()
     if (!this.opened) await this.ready()
-    return this.files.put(name, { executable: false, linkname: dst, blob: null, metadata })
+    if (src.endsWith('/')) src = src.slice(0, -1)
+    if (dst.endsWith('/')) dst = dst.slice(0, -1)
+
+    const nodes = []
+    const node = await this.files.get(src)
+
+    if (node) nodes.push(node)
+    // only the entries of this drive, a mount is copied as the mount entry
+    if (!node || node.value.directory) {
+      for await (const node of this.files.createReadStream({ gt: src + '/', lt: src + '0' })) nodes.push(node)
+    }
+
+    if (nodes.length === 0) throw errors.ENOENT('No such file or directory: ' + src)
+    await this._checkUnmounted(dst)
+
+    // like writing a file, a copy never replaces a directory or mount with another type of entry
+    for (const { key, value } of nodes) {
+      const prev = await this.files.get(dst + key.slice(src.length))
+      if (prev && isFolder(prev.value) && entryType(prev.value) !== entryType(value)) throw errors.EISDIR('Is a directory: ' + prev.key)
+    }
+
+    // the entries keep pointing at the same blobs, so nothing is appended to the blob store
+    const batch = this._batching ? this.files : this.files.batch()
+    const ctime = Date.now()
+
+    if (move) {
+      for (const { key } of nodes) await batch.del(key)
+    }
+
+    for (const { key, value } of nodes) {
+      await batch.put(dst + key.slice(src.length), { ...value, ctime })
+    }
+
+    if (batch !== this.files) await batch.flush()
+  }
+
+  _clear (value) {
+    if (this._batching) {
+      this._clearing.push(value)
+      return Promise.resolve()
+    }
+    return this._clearBlobs(value)
+  }
+
+  async _clearBlobs (value) {
+    const blobs = await this.getBlobs()
+    let ranges = blobRanges(value)
+
+    // copied, deduplicated or partially rewritten blobs can be shared with other entries, which still need them
+    for await (const node of this._usedEntries(this.db.sub('files'))) {
+      if (ranges.length === 0) return
+      const used = blobRanges(node.value)
+      ranges = ranges.filter((r) => !used.some((u) => u.start < r.end && r.start < u.end))
+    }
+
+    for (const { start, end } of ranges) await blobs.core.clear(start, end)
+  }
+
+  // the entries in files and in the versions that are kept, which all still need their blobs
+  async * _usedEntries (files, versions = []) {
+    // tagged versions can be checked out by name at any time, so they are always kept
+    const kept = [...versions]
+    for await (const node of this._tags.createReadStream()) kept.push(node.value.version)
+
+    yield * files.createReadStream()
+    for (const version of kept) yield * this.db.checkout(version).sub('files').createReadStream()
+  }
+
+  async _createContentStream (value, opts) {
+    if (value.compression) {
+      const { type, byteLength } = value.compression
+      const { start, length } = byteRange({ byteLength }, opts)
+      if (length === 0) return Readable.from([])
+      return Readable.from(compression.decompressRange(await this._createBlobStream(value.blob), type, start, length))
+    }
+
+    if (!value.segments) return this._createBlobStream(value.blob, opts)
+
+    const { start, length } = byteRange({ byteLength: contentLength(value) }, opts)
+    return Readable.from(this._readSegments(slice(value.segments, start, length)))
+  }
+
+  async * _readSegments (segments) {
+    for (const { blob, start, length } of segments) {
+      for await (const chunk of await this._createBlobStream(blob, { start, length })) yield chunk
+    }
+  }
+
+  async _createBlobStream (blob, opts) {
+    const { start, length } = byteRange(blob, opts)
+
+    if (length === 0) return Readable.from([])
+    if (start === 0 && length === blob.byteLength) return this.blobs.createReadStream(blob)
+
+    // bound the prefetching to the last block of the range, so only the blocks covering it are downloaded
+    const [last] = await this.blobs.core.seek(blob.byteOffset + start + length - 1)
+    const prefetch = (bounds, index) => ({ start: index, end: Math.min(index + PREFETCH_BLOCKS, last + 1), linear: true })
+
+    return this.blobs.createReadStream(blob, { start, length, prefetch })
+  }
+
+  async gc ({ versions = [] } = {}) {
+    this._checkWritable()
+    const blobs = await this.getBlobs()
+    // anything appended after this point, or by a write that is not in an entry yet, is not considered for clearing
+    let length = blobs.core.length
+    for (const write of this._writes) length = Math.min(length, write.offset)
+    const used = []
+
+    for await (const node of this._usedEntries(this.files, versions)) {
+      for (const range of blobRanges(node.value)) used.push(range)
+    }
+
+    used.sort((a, b) => a.start - b.start)
+
+    let cleared = 0
+    let start = 0
+
+    for (const range of used) {
+      if (range.start > start) {
+        await blobs.core.clear(start, Math.min(range.start, length))
+        cleared += Math.min(range.start, length) - start
+      }
+      if (range.end > start) start = range.end
+      if (start >= length) break
+    }
+
+    if (start < length) {
+      await blobs.core.clear(start, length)
+      cleared += length - start
+    }
+
+    return cleared
+  }
+
+  async verify (folder = '') {
+    const blobs = await this.getBlobs()
+    const report = { verified: 0, unhashed: 0, problems: [] }
+
+    // mounted drives are verified on their own, as their blobs are not in this drive
+    const range = folder ? { gt: folder + '/', lt: folder + '0' } : {}
+    for await (const node of this.files.createReadStream(range)) {
+      const { hash } = node.value
+      if (!hasContent(node.value)) continue
+
+      const ranges = blobRanges(node.value)
+
+      if (ranges.some(({ end }) => end > blobs.core.length)) {
+        report.problems.push({ type: 'out-of-range', key: node.key, entry: node })
+        continue
+      }
+
+      let missing = 0
+      for (const { start, end } of ranges) {
+        for (let i = start; i < end; i++) {
+          if (!(await blobs.core.has(i))) missing++
+        }
+      }
+
+      if (missing > 0) {
+        report.problems.push({ type: 'missing', key: node.key, entry: node, blocks: missing })
+        continue
+      }
+
+      // entries written before content hashes were recorded can only be checked for their blocks
+      if (!hash) {
+        report.unhashed++
+        continue
+      }
+
+      const digest = new ContentHash(this.encryptionKey)
+      for await (const chunk of await this._createContentStream(node.value)) digest.update(chunk)
+
+      if (digest.digest() !== hash) report.problems.push({ type: 'mismatch', key: node.key, entry: node })
+      else report.verified++
+    }
+
+    return report
+  }
+
+  async entry (name, { follow = false } = {}) {
+    this._checkOpen()
+
+    const node = typeof name === 'string'
+      ? await this._lookup(name)
+      : name
+
+    if (!follow || !node) return node
+    return this._follow(node)
+  }
+
+  async stat (name, { follow = false } = {}) {
+    const node = await this.entry(name, { follow })
+    if (node) return stat.fromEntry(node)
+
+    if (name.endsWith('/')) name = name.slice(0, -1)
+    // folders only exist implicitly, through the entries in them
+    const child = await this.files.peek({ gt: name + '/', lt: name + '0' })
+    if (child) return stat.directory()
+
+    const mount = await this._findMount(name)
+    return mount ? (await this._openMount(mount)).drive.stat(name.slice(mount.key.length), { follow }) : null
   }
 
-  entry (name) {
-    return typeof name === 'string'
-      ? this.files.get(name)
-      : Promise.resolve(name)
+  async _follow (node) {
+    const seen = new Set()
+
+    while (node.value.linkname) {
+      if (seen.has(node.key) || seen.size >= MAX_SYMLINKS) {
+        throw errors.ELOOP('Too many levels of symbolic links: ' + node.key)
+      }
+      seen.add(node.key)
+
+      const target = resolveLink(node.key, node.value.linkname)
+      const next = await this._lookup(target)
+
+      if (!next) throw errors.ENOENT('Broken symbolic link: ' + node.key + ' -> ' + node.value.linkname)
+      node = next
+    }
+
+    return node
   }
 
   diff (length, folder, opts) {
     if (typeof folder === 'object' && folder && !opts) return this.diff(length, null, folder)
+    if (this._closing) return closedStream()
     if (folder) {
       if (folder.endsWith('/')) folder = folder.slice(0, -1)
       opts = { gt: folder + '/', lt: folder + '0', ...opts }
@@ -212,79 +922,171 @@ module.exports = class HyperBundle extends EventEmitter {
     return this.files.createDiffStream(length, opts)
   }
 
-  async downloadDiff (length, folder, opts) {
-    const dls = []
-
-    for await (const entry of this.diff(length, folder, opts)) {
-      if (!entry.left) continue
-      const b = entry.left.value.blob
-      if (!b) continue
-      const blobs = await this.getBlobs()
-      dls.push(blobs.core.download({ start: b.blockOffset, length: b.blockLength }))
+  compare (from, to, folder, opts) {
+    if (typeof folder === 'object' && folder && !opts) return this.compare(from, to, null, folder)
+    if (this._closing) return closedStream()
+    if (folder) {
+      if (folder.endsWith('/')) folder = folder.slice(0, -1)
+      opts = { gt: folder + '/', lt: folder + '0', ...opts }
     }
 
-    const proms = []
-    for (const r of dls) proms.push(r.downloaded())
+    const changes = new Transform({
+      transform ({ left, right }, cb) {
+        cb(null, classifyChange(right, left))
+      }
+    })
+
+    return pipeline(this.files.checkout(Math.max(1, to)).createDiffStream(from, opts), changes)
+  }
+
+  history (name, { reverse = false, limit = -1, gte = 0, lte = 0 } = {}) {
+    if (this._closing) return closedStream()
+
+    // versions are one past the seq of the block an operation was written at
+    const range = { reverse }
+    if (gte) range.gte = gte - 1
+    if (lte) range.lte = lte - 1
+    return historyStream(this.db, name, range, limit)
+  }
+
+  watch (folder = '') {
+    if (this._closing) return closedStream()
+    if (folder.endsWith('/')) folder = folder.slice(0, -1)
+    return watchStream(this, folder)
+  }
+
+  downloadDiff (length, folder, opts) {
+    return new Download(this._diffRanges(length, folder, opts))
+  }
 
-    await Promise.allSettled(proms)
+  async * _diffRanges (length, folder, opts) {
+    if (typeof folder === 'object' && folder && !opts) return yield * this._diffRanges(length, null, folder)
+
+    const { types = null, ...range } = opts || {}
+    const entries = types ? this.compare(length, this.version, folder, range) : this.diff(length, folder, range)
+
+    for await (const entry of entries) {
+      const node = types ? (types.includes(entry.type) ? entry.to : null) : entry.left
+      if (node) yield * this._entryRange(node)
+    }
   }
 
-  async downloadRange (dbRanges, blobRanges) {
-    const dls = []
+  downloadRange (dbRanges, blobRanges) {
+    return new Download(this._ranges(dbRanges, blobRanges))
+  }
 
+  async * _ranges (dbRanges, blobRanges) {
     await this.ready()
 
     for (const range of dbRanges) {
-      dls.push(this.db.feed.download(range))
+      yield { key: null, core: this.db.feed, ranges: [range], bytes: 0 }
     }
 
     const blobs = await this.getBlobs()
 
     for (const range of blobRanges) {
-      dls.push(blobs.core.download(range))
+      yield { key: null, core: blobs.core, ranges: [range], bytes: 0 }
     }
+  }
 
-    const proms = []
-    for (const r of dls) proms.push(r.downloaded())
+  async * _entryRange (node) {
+    const blobs = blobsOf(node.value).filter((b) => b.blockLength > 0)
+    if (blobs.length === 0) return
 
-    await Promise.allSettled(proms)
-  }
+    const ranges = blobs.map((b) => ({ start: b.blockOffset, length: b.blockLength }))
+    const bytes = blobs.reduce((bytes, b) => bytes + b.byteLength, 0)
 
-  entries (opts) {
-    return this.files.createReadStream(opts)
+    yield { key: node.key, core: (await ownerOf(node, this).getBlobs()).core, ranges, bytes }
   }
 
-  async download (folder, opts) {
-    const dls = []
+  mirror (dest, opts) {
+    return mirror(this, dest, opts)
+  }
 
-    for await (const entry of this.list(folder, opts)) {
-      const b = entry.value.blob
-      if (!b) continue
+  entries ({ glob, ignore, ignoreFiles, ...opts } = {}) {
+    if (this._closing) return closedStream()
 
-      const blobs = await this.getBlobs()
-      dls.push(blobs.core.download({ start: b.blockOffset, length: b.blockLength }))
-    }
+    const base = globBase(glob)
+    if (base) opts = { gt: '/' + base + '/', lt: '/' + base + '0', ...opts }
+    return filterStream(this.files.createReadStream(opts), createFilter(this, '', { glob, ignore, ignoreFiles }))
+  }
 
-    const proms = []
-    for (const r of dls) proms.push(r.downloaded())
+  download (folder, opts) {
+    return new Download(this._folderRanges(folder, opts))
+  }
 
-    await Promise.allSettled(proms)
+  async * _folderRanges (folder, opts) {
+    for await (const entry of this.list(folder, opts)) yield * this._entryRange(entry)
   }
 
   // atm always recursive, but we should add some depth thing to it
-  list (folder, { recursive = true } = {}) {
+  list (folder, { recursive = true, glob, ignore, ignoreFiles } = {}) {
+    if (this._closing) return closedStream()
     if (folder.endsWith('/')) folder = folder.slice(0, -1)
-    if (recursive === false) return shallowReadStream(this.files, folder, false)
+
+    const filter = createFilter(this, folder, { glob, ignore, ignoreFiles })
+    if (recursive === false) return filterStream(Readable.from(this._readdirMounted(folder, 'nodes')), filter)
+
+    // only the range of the literal folder the globs start with is read
+    const base = globBase(glob)
+    const prefix = base ? folder + '/' + base : folder
+
+    return filterStream(Readable.from(this._listMounted(prefix)), filter)
+  }
+
+  // the entries in folder, descending into the drives mounted in it
+  async * _listMounted (folder, seen = null) {
+    const mount = folder ? await this._findMount(folder) : null
+
+    if (mount) {
+      const { drive, seen: below } = await this._openMount(mount, seen)
+      for await (const node of drive._listMounted(folder.slice(mount.key.length), below)) yield mountedNode(mount.key, node, drive)
+      return
+    }
+
     // '0' is binary +1 of /
-    return folder ? this.entries({ gt: folder + '/', lt: folder + '0' }) : this.entries()
+    const range = folder ? { gt: folder + '/', lt: folder + '0' } : {}
+
+    for await (const node of this.files.createReadStream(range)) {
+      if (!node.value.mount) {
+        yield node
+        continue
+      }
+
+      const { drive, seen: below } = await this._openMount(node, seen)
+      for await (const inner of drive._listMounted('', below)) yield mountedNode(node.key, inner, drive)
+    }
+  }
+
+  createTarStream (folder, opts) {
+    return tar.pack(this, folder, opts)
   }
 
-  readdir (folder) {
+  extractTar (stream, prefix) {
+    return tar.extract(this, stream, prefix)
+  }
+
+  readdir (folder, { withFileTypes = false } = {}) {
+    if (this._closing) return closedStream()
     if (folder.endsWith('/')) folder = folder.slice(0, -1)
-    return shallowReadStream(this.files, folder, true)
+    return Readable.from(this._readdirMounted(folder, withFileTypes ? 'types' : 'names'))
+  }
+
+  async * _readdirMounted (folder, format, seen = null) {
+    const mount = folder ? await this._findMount(folder) : null
+
+    if (mount) {
+      const { drive, seen: below } = await this._openMount(mount, seen)
+      for await (const item of drive._readdirMounted(folder.slice(mount.key.length), format, below)) {
+        yield format === 'nodes' ? mountedNode(mount.key, item, drive) : item
+      }
+      return
+    }
+
+    yield * shallowReadStream(this.files, folder, format)
   }
 
-  createReadStream (name) {
+  createReadStream (name, { follow = true, start, end, length } = {}) {
     const self = this
 
     let destroyed = false
@@ -295,19 +1097,31 @@ module.exports = class HyperBundle extends EventEmitter {
         self.getBlobs().then(onblobs, cb)
 
         function onblobs () {
-          self.entry(name).then(onnode, cb)
+          self.entry(name, { follow }).then(onnode, cb)
         }
 
         function onnode (node) {
           if (destroyed) return cb(null)
-          if (!node) return cb(new Error('Blob does not exist'))
+          if (!node) return self._notFound(name).then(cb, cb)
+          if (node.value.linkname) return cb(errors.ELOOP('Is a symbolic link: ' + node.key))
+          if (isFolder(node.value)) return cb(errors.EISDIR('Is a directory: ' + node.key))
 
-          if (!node.value.blob) {
+          if (!hasContent(node.value)) {
             stream.push(null)
             return cb(null)
           }
 
-          rs = self.blobs.createReadStream(node.value.blob)
+          const drive = ownerOf(node, self)
+          drive.getBlobs().then(() => drive._createContentStream(node.value, { start, end, length })).then(onstream, cb)
+        }
+
+        function onstream (blobStream) {
+          if (destroyed) {
+            blobStream.destroy()
+            return cb(null)
+          }
+
+          rs = blobStream
 
           rs.on('data', function (data) {
             if (!stream.push(data)) rs.pause()
@@ -337,21 +1151,42 @@ module.exports = class HyperBundle extends EventEmitter {
     return stream
   }
 
-  createWriteStream (name, { executable = false, metadata = null } = {}) {
+  createWriteStream (name, { executable = false, metadata = null, mtime = null, clear = false, append = false, compression: type, ifVersion, ifNotExists = false, ifMatch } = {}) {
     const self = this
+    const conditions = { ifVersion, ifNotExists, ifMatch }
+
+    const hash = new ContentHash(this.encryptionKey)
 
     let destroyed = false
+    let base = null
+    let size = 0
     let ws = null
+    let sink = null
     let ondrain = null
     let onfinish = null
+    let write = null
 
     const stream = new Writable({
       open (cb) {
+        try {
+          self._checkWritable()
+          type = compression.validate(type === undefined && !append ? self.compression : type)
+        } catch (err) {
+          return cb(err)
+        }
+
         self.getBlobs().then(onblobs, cb)
 
         function onblobs () {
+          if (append) self._appendBase(name, conditions, hash).then(onbase, cb)
+          else onbase({ node: null, content: null })
+        }
+
+        function onbase ({ node, content }) {
           if (destroyed) return cb(null)
 
+          base = node
+          write = self._beginWrite()
           ws = self.blobs.createWriteStream()
 
           ws.on('error', function (err) {
@@ -359,7 +1194,7 @@ module.exports = class HyperBundle extends EventEmitter {
           })
 
           ws.on('close', function () {
-            const err = new Error('Closed')
+            const err = errors.ECLOSED('Write stream was closed')
             callOndrain(err)
             callOnfinish(err)
           })
@@ -372,20 +1207,41 @@ module.exports = class HyperBundle extends EventEmitter {
             callOndrain(null)
           })
 
+          // appending keeps the content uncompressed, unless it is compressed already
+          if (append) type = base ? (content ? base.value.compression.type : null) : type
+
+          sink = ws
+
+          if (type) {
+            sink = compression.createCompressor(type)
+            sink.on('error', (err) => stream.destroy(err))
+            sink.on('drain', () => callOndrain(null))
+            sink.pipe(ws)
+          }
+
+          if (content) {
+            size += content.byteLength
+            sink.write(content)
+          }
+
           cb(null)
         }
       },
       write (data, cb) {
-        if (ws.write(data) === true) return cb(null)
+        hash.update(data)
+        size += data.byteLength
+        if (sink.write(data) === true) return cb(null)
         ondrain = cb
       },
       final (cb) {
         onfinish = cb
-        ws.end()
+        sink.end()
       },
       predestroy () {
         destroyed = true
+        if (sink && sink !== ws) sink.destroy()
         if (ws) ws.destroy()
+        endWrite()
       }
     })
 
@@ -397,8 +1253,73 @@ module.exports = class HyperBundle extends EventEmitter {
       const cb = onfinish
       onfinish = null
 
-      if (err) return cb(err)
-      self.files.put(name, { executable, linkname: null, blob: ws.id, metadata }).then(() => cb(null), cb)
+      if (err) {
+        endWrite()
+        return cb(err)
+      }
+
+      onput().then(done, done)
+
+      function done (err) {
+        endWrite()
+        cb(err || null)
+      }
+    }
+
+    function endWrite () {
+      if (!write) return
+      self._endWrite(write)
+      write = null
+    }
+
+    async function onput () {
+      if (append) return onappend()
+
+      const prev = clear ? await self.files.get(name) : null
+      const digest = hash.digest()
+
+      // the content is only known once it is appended, so a duplicate is cleared again locally
+      const reused = self.dedup && await self._findBlob(indexKey(digest, type))
+      const id = reused || ws.id
+      const compressed = type ? { type, byteLength: size } : null
+
+      let written = false
+
+      try {
+        await self._write(name, fileEntry(id, { executable, metadata, mtime, hash: digest, compression: compressed }), conditions)
+        written = true
+      } finally {
+        if (reused || !written) await self.blobs.core.clear(ws.id.blockOffset, ws.id.blockOffset + ws.id.blockLength)
+      }
+
+      if (self.dedup && !reused) await self._indexBlob(indexKey(digest, type), id)
+      if (prev) await self._clear(prev.value)
+    }
+
+    async function onappend () {
+      const opts = base
+        ? { executable: base.value.executable, metadata: base.value.metadata, mtime, hash: hash.digest() }
+        : { executable, metadata, mtime, hash: hash.digest() }
+
+      let value = null
+
+      if (type) {
+        // either a new file, or all of the content written again, in a single compressed blob
+        value = fileEntry(ws.id, { ...opts, compression: { type, byteLength: size } })
+      } else {
+        const segments = splice(base ? segmentsOf(base.value) : [], base ? contentLength(base.value) : 0, { blob: ws.id, start: 0, length: ws.id.byteLength })
+        value = contentEntry(segments, opts)
+      }
+
+      let written = false
+
+      try {
+        // the content is appended to that of base, so it must not have changed meanwhile
+        await self._write(base ? base.key : name, value, base ? { ifVersion: base.seq + 1 } : { ifNotExists: true })
+        written = true
+      } finally {
+        if (!written) await self.blobs.core.clear(ws.id.blockOffset, ws.id.blockOffset + ws.id.blockLength)
+      }
     }
 
     function callOndrain (err) {
@@ -411,9 +1332,32 @@ module.exports = class HyperBundle extends EventEmitter {
   }
 }
 
-function shallowReadStream (files, folder, keys) {
+// streams report errors through the stream, so reading a closed drive does too
+function closedStream () {
+  return new Readable({
+    open (cb) {
+      cb(errors.ECLOSED('Drive is closed'))
+    }
+  })
+}
+
+function filterStream (stream, filter) {
+  if (!filter) return stream
+
+  return pipeline(stream, new Transform({
+    transform (node, cb) {
+      filter(node.key).then((include) => cb(null, include ? node : null), cb)
+    }
+  }))
+}
+
+function shallowReadStream (files, folder, format) {
   let prev = '/'
   return new Readable({
+    open (cb) {
+      if (!folder) return cb(null)
+      isFile(files, folder).then((file) => cb(file ? errors.ENOTDIR('Not a directory: ' + folder) : null), cb)
+    },
     async read (cb) {
       let node = null
 
@@ -437,18 +1381,287 @@ function shallowReadStream (files, folder, keys) {
 
       prev = '/' + name + '0'
 
-      this.push(keys ? name : node)
+      if (format === 'nodes') this.push(node)
+      // the first entry of a name is the entry at the name itself, if there is one
+      else if (format === 'types') this.push({ name, type: node.key.length === folder.length + 1 + name.length && !node.value.mount ? entryType(node.value) : 'directory' })
+      else this.push(name)
       cb(null)
     }
   })
 }
 
+// like fs.readdir, the entries of a file cannot be read, unless the path is a folder as well
+async function isFile (files, folder) {
+  const node = await files.get(folder)
+  return !!node && !isFolder(node.value) && !(await files.peek({ gt: folder + '/', lt: folder + '0' }))
+}
+
+function fileEntry (blob, { executable, metadata, mtime, hash, compression }) {
+  const ctime = Date.now()
+  return { executable, linkname: null, blob, metadata, mtime: mtime || ctime, ctime, mode: stat.fileMode(executable), hash: hash || null, compression: compression || null }
+}
+
+// a blob is only reused for the same content compressed the same way
+function indexKey (hash, type) {
+  return type ? hash + ':' + type : hash
+}
+
+function contentEntry (segments, opts) {
+  // content that is a whole blob again is stored like any other file
+  if (segments.length === 1 && segments[0].start === 0 && segments[0].length === segments[0].blob.byteLength) {
+    return fileEntry(segments[0].blob, opts)
+  }
+
+  return { ...fileEntry(null, opts), segments }
+}
+
+function writeSub (db, key, value) {
+  return value === null ? db.del(key) : db.put(key, value)
+}
+
+function hasConditions ({ ifVersion, ifNotExists, ifMatch }) {
+  return ifVersion !== undefined || ifNotExists || ifMatch !== undefined
+}
+
+function matchConditions (node, { ifVersion, ifNotExists, ifMatch }) {
+  if (ifNotExists && node) return false
+  // like the versions of the drive, the version of an entry is one past the seq of its block
+  if (ifVersion !== undefined && (!node || node.seq + 1 !== ifVersion)) return false
+  if (ifMatch !== undefined) {
+    if (!node) return false
+    // either a content hash, or a blob id
+    if (typeof ifMatch === 'string' ? node.value.hash !== ifMatch : !sameBlob(node.value.blob, ifMatch)) return false
+  }
+  return true
+}
+
+function classifyChange (from, to) {
+  const key = (from || to).key
+  const delta = entrySize(to) - entrySize(from)
+
+  if (!from) return { type: 'add', key, from, to, delta }
+  if (!to) return { type: 'delete', key, from, to, delta }
+
+  const a = from.value
+  const b = to.value
+
+  if (entryType(a) !== entryType(b)) return { type: 'type-change', key, from, to, delta }
+  if (!sameContent(a, b)) return { type: 'modify', key, from, to, delta }
+  return { type: 'metadata', key, from, to, delta }
+}
+
+function sameContent (a, b) {
+  if (a.directory) return true
+  if (a.mount) return a.mount.key === b.mount.key && a.mount.version === b.mount.version
+  if (a.linkname || b.linkname) return a.linkname === b.linkname
+  if (sameBlob(a.blob, b.blob)) return true
+  // only the hash tells if rewritten content is the same, blobs are not deduplicated by default
+  return !!a.hash && a.hash === b.hash
+}
+
+function entrySize (node) {
+  return node ? contentLength(node.value) : 0
+}
+
+function sameBlob (a, b) {
+  return !!a && !!b && a.blockOffset === b.blockOffset && a.blockLength === b.blockLength
+}
+
+function linkEntry (linkname, { metadata, mtime }) {
+  const ctime = Date.now()
+  return { executable: false, linkname, blob: null, metadata, mtime: mtime || ctime, ctime, mode: stat.linkMode() }
+}
+
+function dirEntry ({ metadata, mtime }) {
+  const ctime = Date.now()
+  return { executable: false, linkname: null, blob: null, metadata, mtime: mtime || ctime, ctime, mode: stat.dirMode(), directory: true }
+}
+
+function mountEntry (key, version) {
+  const ctime = Date.now()
+  return { executable: false, linkname: null, blob: null, metadata: null, mtime: ctime, ctime, mode: stat.dirMode(), mount: { key, version } }
+}
+
+// entries of mounted drives are keyed by their path in this drive, but read from the drive they are in
+const owners = new WeakMap()
+
+function mountedNode (prefix, node, drive) {
+  const mounted = { seq: node.seq, key: prefix + node.key, value: node.value }
+  owners.set(mounted, ownerOf(node, drive))
+  return mounted
+}
+
+function ownerOf (node, drive) {
+  return owners.get(node) || drive
+}
+
+function isFolder (value) {
+  return !!(value.directory || value.mount)
+}
+
+function entryType (value) {
+  if (value.mount) return 'mount'
+  if (value.directory) return 'directory'
+  return value.linkname ? 'symlink' : 'file'
+}
+
+function resolveLink (name, linkname) {
+  if (linkname.startsWith('/')) return path.normalize(linkname)
+  return path.join(path.dirname(name), linkname)
+}
+
+function byteRange (blob, { start = 0, end, length } = {}) {
+  let last = blob.byteLength - 1
+  if (length !== undefined) last = Math.min(last, start + length - 1)
+  else if (end !== undefined) last = Math.min(last, end)
+
+  start = Math.min(start, blob.byteLength)
+  return { start, length: Math.max(0, last - start + 1) }
+}
+
+function blobRanges (value) {
+  if (!value) return []
+  return blobsOf(value).map(({ blockOffset, blockLength }) => ({ start: blockOffset, end: blockOffset + blockLength }))
+}
+
+function historyStream (db, name, range, limit) {
+  // the log holds the operations of all subs, so match on the full key of the entry in the files sub
+  const key = 'files\x00' + name
+  const ite = db.createHistoryStream(range)[Symbol.asyncIterator]()
+
+  return new Readable({
+    async read (cb) {
+      try {
+        while (limit !== 0) {
+          const { value: op, done } = await ite.next()
+          if (done) break
+          if (op.key !== key) continue
+
+          if (limit > 0) limit--
+
+          let type = op.type
+          if (type === 'put' && op.value.linkname) type = 'symlink'
+          if (type === 'put' && op.value.directory) type = 'mkdir'
+          if (type === 'put' && op.value.mount) type = 'mount'
+          const entry = op.type === 'put' ? { seq: op.seq, key: name, value: op.value } : null
+
+          this.push({ version: op.seq + 1, type, entry })
+          return cb(null)
+        }
+      } catch (err) {
+        return cb(err)
+      }
+
+      this.push(null)
+      cb(null)
+    },
+    predestroy () {
+      ite.return().catch(noop)
+    }
+  })
+}
+
+function watchStream (drive, folder) {
+  const range = folder ? { gt: folder + '/', lt: folder + '0' } : {}
+
+  let previous = 0
+  let emitted = 0
+  let destroyed = false
+  let wakeup = null
+
+  const stream = new Readable({
+    open (cb) {
+      // a watcher waits for changes until it is destroyed, so it would never end once the drive is closed
+      drive.on('close', onclose)
+      drive.ready().then(onready, cb)
+
+      function onready () {
+        previous = emitted = drive.version
+        drive.core.on('append', onappend)
+        drive.core.on('truncate', onappend)
+        cb(null)
+      }
+    },
+    async read (cb) {
+      try {
+        while (true) {
+          if (destroyed) break
+
+          const current = drive.version
+
+          if (current === previous) {
+            await new Promise((resolve) => { wakeup = resolve })
+            continue
+          }
+
+          // a truncation leaves nothing to diff against, so just move along
+          if (current < previous) {
+            previous = emitted = current
+            continue
+          }
+
+          // diffing from the last emitted version means a slow consumer gets the changes coalesced, never lost
+          const changes = []
+          const files = drive.db.checkout(current).sub('files')
+          for await (const change of files.createDiffStream(previous, range)) changes.push(change)
+
+          previous = current
+
+          if (changes.length) {
+            this.push({ previous: emitted, current, changes })
+            emitted = current
+            break
+          }
+        }
+      } catch (err) {
+        return cb(drive._closing ? errors.ECLOSED('Drive is closed') : err)
+      }
+
+      cb(null)
+    },
+    predestroy () {
+      destroyed = true
+      onappend()
+    },
+    destroy (cb) {
+      drive.removeListener('close', onclose)
+      drive.core.removeListener('append', onappend)
+      drive.core.removeListener('truncate', onappend)
+      cb(null)
+    }
+  })
+
+  return stream
+
+  function onclose () {
+    stream.destroy(errors.ECLOSED('Drive is closed'))
+  }
+
+  function onappend () {
+    if (wakeup === null) return
+    const resolve = wakeup
+    wakeup = null
+    resolve()
+  }
+}
+
 function noop () {}
 
-function makeBee (key, corestore, onwait) {
+function headerInfo (header) {
+  const userData = header.metadata && header.metadata.userData
+  if (!userData || !userData.byteLength) return {}
+
+  try {
+    return JSON.parse(userData.toString())
+  } catch {
+    return {}
+  }
+}
+
+function makeBee (key, corestore, onwait, encryptionKey) {
   const metadataOpts = key
-    ? { key, cache: true, onwait }
-    : { name: 'db', cache: true, onwait }
+    ? { key, cache: true, onwait, encryptionKey }
+    : { name: 'db', cache: true, onwait, encryptionKey }
   const core = corestore.get(metadataOpts)
   const metadata = { contentFeed: null }
   return new Hyperbee(core, { keyEncoding: 'utf-8', valueEncoding: 'json', metadata })
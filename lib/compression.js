@@ -0,0 +1,66 @@
+const zlib = require('zlib')
+const { promisify } = require('util')
+const errors = require('./errors')
+
+const CODECS = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip),
+    createCompressor: zlib.createGzip,
+    createDecompressor: zlib.createGunzip
+  },
+  brotli: {
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress),
+    createCompressor: zlib.createBrotliCompress,
+    createDecompressor: zlib.createBrotliDecompress
+  },
+  deflate: {
+    compress: promisify(zlib.deflate),
+    decompress: promisify(zlib.inflate),
+    createCompressor: zlib.createDeflate,
+    createDecompressor: zlib.createInflate
+  }
+}
+
+exports.validate = function validate (type) {
+  if (type && !CODECS[type]) throw errors.EINVAL('Unknown compression: ' + type)
+  return type || null
+}
+
+exports.compress = function compress (buf, type) {
+  return CODECS[type].compress(buf)
+}
+
+exports.decompress = function decompress (buf, type) {
+  return CODECS[type].decompress(buf)
+}
+
+exports.createCompressor = function createCompressor (type) {
+  return CODECS[type].createCompressor()
+}
+
+// compressed content can only be decompressed from the start, so the bytes before start are skipped
+exports.decompressRange = async function * decompressRange (stream, type, start, length) {
+  const decompressor = CODECS[type].createDecompressor()
+  let offset = 0
+
+  stream.on('error', (err) => decompressor.destroy(err))
+  stream.pipe(decompressor)
+
+  try {
+    for await (let chunk of decompressor) {
+      const end = offset + chunk.byteLength
+
+      if (end > start) {
+        if (offset < start || end > start + length) chunk = chunk.subarray(Math.max(0, start - offset), start + length - offset)
+        yield chunk
+      }
+
+      offset = end
+      if (offset >= start + length) break
+    }
+  } finally {
+    stream.destroy()
+  }
+}
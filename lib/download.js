@@ -0,0 +1,75 @@
+const { EventEmitter } = require('events')
+const errors = require('./errors')
+
+module.exports = class Download extends EventEmitter {
+  constructor (found) {
+    super()
+
+    this.files = { done: 0, total: 0 }
+    this.bytes = { done: 0, total: 0 }
+    this.failed = []
+    this.destroyed = false
+
+    this._active = new Set()
+    this._done = this._run(found)
+    this._done.catch(noop)
+  }
+
+  done () {
+    return this._done
+  }
+
+  destroy () {
+    if (this.destroyed) return
+    this.destroyed = true
+    for (const dl of this._active) dl.destroy()
+  }
+
+  async _run (found) {
+    const downloading = []
+
+    try {
+      // ranges are requested as soon as they are found, so the totals keep growing until all are found
+      for await (const { key, core, ranges, bytes } of found) {
+        if (this.destroyed) break
+        downloading.push(this._download(key, core, ranges, bytes))
+      }
+    } catch (err) {
+      this.destroy()
+      throw err
+    }
+
+    await Promise.all(downloading)
+
+    if (this.destroyed) throw errors.ECANCELLED('Download was cancelled')
+    return { files: this.files, bytes: this.bytes, failed: this.failed }
+  }
+
+  async _download (key, core, ranges, bytes) {
+    const dls = ranges.map((range) => core.download(range))
+
+    this.files.total++
+    this.bytes.total += bytes
+    for (const dl of dls) this._active.add(dl)
+
+    try {
+      await Promise.all(dls.map((dl) => dl.downloaded()))
+    } catch (error) {
+      if (this.destroyed) return
+      this.failed.push({ key, error })
+      this.emit('failed', key, error)
+      return
+    } finally {
+      for (const dl of dls) this._active.delete(dl)
+    }
+
+    // cancelled ranges can also resolve, without being downloaded
+    if (this.destroyed) return
+
+    this.files.done++
+    this.bytes.done += bytes
+    this.emit('progress', { files: { ...this.files }, bytes: { ...this.bytes } })
+  }
+}
+
+function noop () {}
@@ -0,0 +1,74 @@
+module.exports = class HyperdriveError extends Error {
+  constructor (msg, code, fn = HyperdriveError) {
+    super(`${code}: ${msg}`)
+    this.code = code
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, fn)
+    }
+  }
+
+  get name () {
+    return 'HyperdriveError'
+  }
+
+  static ENOENT (msg = 'No such file or directory') {
+    return new HyperdriveError(msg, 'ENOENT', HyperdriveError.ENOENT)
+  }
+
+  static EISDIR (msg = 'Is a directory') {
+    return new HyperdriveError(msg, 'EISDIR', HyperdriveError.EISDIR)
+  }
+
+  static ENOTDIR (msg = 'Not a directory') {
+    return new HyperdriveError(msg, 'ENOTDIR', HyperdriveError.ENOTDIR)
+  }
+
+  static EEXIST (msg = 'File exists') {
+    return new HyperdriveError(msg, 'EEXIST', HyperdriveError.EEXIST)
+  }
+
+  static ENOTEMPTY (msg = 'Directory not empty') {
+    return new HyperdriveError(msg, 'ENOTEMPTY', HyperdriveError.ENOTEMPTY)
+  }
+
+  static ELOOP (msg = 'Too many levels of symbolic links') {
+    return new HyperdriveError(msg, 'ELOOP', HyperdriveError.ELOOP)
+  }
+
+  static ECLOSED (msg = 'Resource is closed') {
+    return new HyperdriveError(msg, 'ECLOSED', HyperdriveError.ECLOSED)
+  }
+
+  static EBLOBKEY (msg = 'Invalid or no blob store key set') {
+    return new HyperdriveError(msg, 'EBLOBKEY', HyperdriveError.EBLOBKEY)
+  }
+
+  static ESNAPSHOT (msg = 'Cannot write to a snapshot') {
+    return new HyperdriveError(msg, 'ESNAPSHOT', HyperdriveError.ESNAPSHOT)
+  }
+
+  static EACCES (msg = 'Permission denied') {
+    return new HyperdriveError(msg, 'EACCES', HyperdriveError.EACCES)
+  }
+
+  static EROFS (msg = 'Read-only file system') {
+    return new HyperdriveError(msg, 'EROFS', HyperdriveError.EROFS)
+  }
+
+  static EINVAL (msg = 'Invalid argument') {
+    return new HyperdriveError(msg, 'EINVAL', HyperdriveError.EINVAL)
+  }
+
+  static EPRECONDITION (msg = 'Precondition failed') {
+    return new HyperdriveError(msg, 'EPRECONDITION', HyperdriveError.EPRECONDITION)
+  }
+
+  static ECANCELLED (msg = 'Operation was cancelled') {
+    return new HyperdriveError(msg, 'ECANCELLED', HyperdriveError.ECANCELLED)
+  }
+
+  static EENCRYPTED (msg = 'Drive is encrypted') {
+    return new HyperdriveError(msg, 'EENCRYPTED', HyperdriveError.EENCRYPTED)
+  }
+}
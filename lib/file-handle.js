@@ -0,0 +1,107 @@
+const errors = require('./errors')
+const stat = require('./stat')
+const { segmentsOf, contentLength, slice } = require('./segments')
+const compression = require('./compression')
+
+const DEFAULT_CACHE_SIZE = 16
+
+module.exports = class FileHandle {
+  constructor (blobs, node, { cache = DEFAULT_CACHE_SIZE } = {}) {
+    this.blobs = blobs
+    this.entry = node
+    this.position = 0
+    this.closed = false
+
+    this._segments = segmentsOf(node.value)
+    this._content = null
+    this._cache = new Map()
+    this._cacheSize = cache
+  }
+
+  get size () {
+    return contentLength(this.entry.value)
+  }
+
+  async stat () {
+    if (this.closed) throw errors.ECLOSED('File handle is closed')
+
+    return stat.fromEntry(this.entry)
+  }
+
+  async read (buffer, offset = 0, length = buffer.byteLength - offset, position = null) {
+    if (this.closed) throw errors.ECLOSED('File handle is closed')
+
+    const advance = position === null || position === undefined
+    if (advance) position = this.position
+
+    length = Math.max(0, Math.min(length, this.size - position))
+
+    if (this.entry.value.compression) {
+      // compressed content can only be decompressed as a whole, so it is kept in memory
+      if (this._content === null) this._content = await this._decompress()
+      const bytesRead = this._content.copy(buffer, offset, position, position + length)
+      if (advance) this.position += bytesRead
+      return { bytesRead, buffer }
+    }
+
+    let bytesRead = 0
+
+    for (const segment of slice(this._segments, position, length)) {
+      const byteOffset = segment.blob.byteOffset + segment.start
+      let [index, rel] = await this._seek(byteOffset)
+      let n = 0
+
+      while (n < segment.length) {
+        const block = await this._getBlock(index, byteOffset + n - rel)
+        const copied = block.copy(buffer, offset + bytesRead, rel, Math.min(block.byteLength, rel + segment.length - n))
+        bytesRead += copied
+        n += copied
+        index++
+        rel = 0
+      }
+    }
+
+    if (advance) this.position += bytesRead
+    return { bytesRead, buffer }
+  }
+
+  async close () {
+    this.closed = true
+    this._content = null
+    this._cache.clear()
+  }
+
+  async _decompress () {
+    const { blob, compression: { type } } = this.entry.value
+    const content = await compression.decompress(await this.blobs.get(blob), type)
+    if (this.closed) throw errors.ECLOSED('File handle is closed')
+    return content
+  }
+
+  async _seek (byteOffset) {
+    for (const [index, { start, block }] of this._cache) {
+      if (start <= byteOffset && byteOffset < start + block.byteLength) return [index, byteOffset - start]
+    }
+
+    return this.blobs.core.seek(byteOffset)
+  }
+
+  async _getBlock (index, start) {
+    const cached = this._cache.get(index)
+
+    if (cached) {
+      // move it to the back so the least recently used block is evicted first
+      this._cache.delete(index)
+      this._cache.set(index, cached)
+      return cached.block
+    }
+
+    const block = await this.blobs.core.get(index)
+    if (this.closed) throw errors.ECLOSED('File handle is closed')
+
+    this._cache.set(index, { start, block })
+    if (this._cache.size > this._cacheSize) this._cache.delete(this._cache.keys().next().value)
+
+    return block
+  }
+}
@@ -0,0 +1,101 @@
+const path = require('path').posix
+const picomatch = require('picomatch')
+
+const IGNORE_FILE = '.driveignore'
+
+// the deepest folder all patterns are inside of, so only that range has to be read
+function globBase (glob) {
+  if (!glob || !glob.length) return ''
+
+  let base = null
+
+  for (const pattern of glob) {
+    const scan = picomatch.scan(trimSlash(pattern))
+    const dir = scan.isGlob ? scan.base : path.dirname(scan.input)
+    const parts = dir === '.' || dir === '' ? [] : dir.split('/')
+
+    if (base === null) {
+      base = parts
+      continue
+    }
+
+    let i = 0
+    while (i < base.length && i < parts.length && base[i] === parts[i]) i++
+    base = base.slice(0, i)
+  }
+
+  return base.join('/')
+}
+
+// patterns are relative to the folder, and ignore patterns work like those in a .gitignore
+function createFilter (drive, folder, { glob = null, ignore = null, ignoreFiles = false } = {}) {
+  if (!glob && !ignore && !ignoreFiles) return null
+
+  const included = glob ? picomatch(glob.map(trimSlash), { dot: true }) : null
+  const ignored = ignore ? compileIgnore(ignore) : null
+  const files = new Map()
+
+  return async function filter (key) {
+    const name = key.slice(folder.length + 1)
+
+    if (included && !included(name)) return false
+    if (ignored && ignored(name)) return false
+    if (!ignoreFiles) return true
+
+    for (let dir = path.dirname(key); ; dir = path.dirname(dir)) {
+      const ignoredIn = await loadIgnoreFile(drive, files, dir)
+      if (ignoredIn && ignoredIn(key.slice(dir === '/' ? 1 : dir.length + 1))) return false
+      if (dir === '/') return true
+    }
+  }
+}
+
+function loadIgnoreFile (drive, files, dir) {
+  let loading = files.get(dir)
+
+  if (!loading) {
+    loading = drive.get(path.join(dir, IGNORE_FILE)).then((buf) => buf && compileIgnore(parseIgnoreFile(buf)))
+    files.set(dir, loading)
+  }
+
+  return loading
+}
+
+function parseIgnoreFile (buf) {
+  return buf.toString().split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'))
+}
+
+function compileIgnore (patterns) {
+  const rules = []
+
+  for (let pattern of patterns) {
+    const negate = pattern.startsWith('!')
+    if (negate) pattern = pattern.slice(1)
+
+    const folderOnly = pattern.endsWith('/')
+    if (folderOnly) pattern = pattern.slice(0, -1)
+
+    // without a slash in the middle, a pattern matches at any depth
+    const anchored = pattern.includes('/')
+    if (pattern.startsWith('/')) pattern = pattern.slice(1)
+    if (!anchored) pattern = '**/' + pattern
+
+    const globs = folderOnly ? [pattern + '/**'] : [pattern, pattern + '/**']
+    rules.push({ negate, match: picomatch(globs, { dot: true }) })
+  }
+
+  return function ignored (name) {
+    let result = false
+    // the last matching rule wins, so later negations include entries again
+    for (const { negate, match } of rules) {
+      if (match(name)) result = !negate
+    }
+    return result
+  }
+}
+
+function trimSlash (pattern) {
+  return pattern.startsWith('/') ? pattern.slice(1) : pattern
+}
+
+module.exports = { IGNORE_FILE, globBase, createFilter }
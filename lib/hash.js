@@ -0,0 +1,23 @@
+const sodium = require('sodium-universal')
+
+module.exports = class ContentHash {
+  constructor (key = null) {
+    this.state = Buffer.alloc(sodium.crypto_generichash_STATEBYTES)
+    sodium.crypto_generichash_init(this.state, key, sodium.crypto_generichash_BYTES)
+  }
+
+  update (data) {
+    sodium.crypto_generichash_update(this.state, data)
+    return this
+  }
+
+  digest () {
+    const out = Buffer.alloc(sodium.crypto_generichash_BYTES)
+    sodium.crypto_generichash_final(this.state, out)
+    return out.toString('hex')
+  }
+
+  static from (data, key) {
+    return new ContentHash(key).update(data).digest()
+  }
+}
@@ -0,0 +1,173 @@
+const path = require('path').posix
+const { contentLength } = require('./segments')
+
+// the types browsers need to render a site, anything else is served as plain bytes
+const TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.gif': 'image/gif',
+  '.htm': 'text/html; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.wasm': 'application/wasm',
+  '.webm': 'video/webm',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+}
+
+module.exports = function createHandler (drive, { listing = false } = {}) {
+  return function handler (req, res) {
+    serve(drive, req, res, listing).catch(function (err) {
+      if (res.headersSent) return res.destroy(err)
+      send(res, 500, err.message)
+    })
+  }
+}
+
+async function serve (drive, req, res, listing) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD')
+    return send(res, 405, 'Method Not Allowed')
+  }
+
+  const url = new URL(req.url, 'http://localhost')
+  const version = url.searchParams.get('version')
+
+  let name = null
+  try {
+    name = path.normalize(decodeURIComponent(url.pathname))
+  } catch {
+    return send(res, 400, 'Bad Request')
+  }
+
+  let snapshot = drive
+  if (version) {
+    // numbers are versions, anything else a tag
+    const checkout = /^\d+$/.test(version) ? Number(version) : version
+    // a version past the current one would wait for blocks that might never be appended
+    if (typeof checkout === 'number' && checkout > drive.version) return send(res, 404, 'Not Found')
+
+    try {
+      snapshot = await drive.checkout(checkout)
+    } catch (err) {
+      if (err.code === 'ENOENT') return send(res, 404, 'Not Found')
+      throw err
+    }
+  }
+
+  const key = name.length > 1 && name.endsWith('/') ? name.slice(0, -1) : name
+
+  let node = null
+  try {
+    node = await snapshot.entry(key, { follow: true })
+  } catch (err) {
+    if (err.code === 'ENOENT') return send(res, 404, 'Not Found')
+    if (err.code === 'ELOOP') return send(res, 508, 'Loop Detected')
+    throw err
+  }
+
+  if (!node || node.value.directory || node.value.mount) {
+    if (listing && (key === '/' || (await snapshot.stat(key))?.type === 'directory')) return sendListing(snapshot, req, res, key, version)
+    return send(res, 404, 'Not Found')
+  }
+
+  const { blob, hash } = node.value
+  const size = contentLength(node.value)
+  // the blob id and the version the entry was written at, so metadata changes are new versions too
+  const id = blob ? `${blob.blockOffset}-${blob.blockLength}-${blob.byteLength}` : hash
+  const etag = id ? `"${node.seq + 1}-${id}"` : `"${node.seq + 1}"`
+
+  res.setHeader('Accept-Ranges', 'bytes')
+  res.setHeader('Content-Type', TYPES[path.extname(node.key).toLowerCase()] || 'application/octet-stream')
+  res.setHeader('ETag', etag)
+
+  if (req.headers['if-none-match'] === etag) {
+    res.statusCode = 304
+    return res.end()
+  }
+
+  let range = { start: 0, end: size - 1 }
+
+  if (req.headers.range) {
+    range = parseRange(req.headers.range, size)
+
+    if (!range) {
+      res.setHeader('Content-Range', `bytes */${size}`)
+      return send(res, 416, 'Range Not Satisfiable')
+    }
+
+    res.statusCode = 206
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`)
+  }
+
+  const length = range.end - range.start + 1
+  res.setHeader('Content-Length', length)
+
+  if (req.method === 'HEAD' || length === 0) return res.end()
+
+  const rs = snapshot.createReadStream(node, { follow: false, start: range.start, end: range.end })
+
+  rs.on('error', (err) => res.destroy(err))
+  res.on('close', () => rs.destroy())
+  rs.pipe(res)
+}
+
+async function sendListing (drive, req, res, name, version) {
+  const dir = name.endsWith('/') ? name : name + '/'
+  const query = version ? '?version=' + encodeURIComponent(version) : ''
+
+  let items = ''
+  for await (const child of drive.readdir(dir)) {
+    // encodeURI keeps the # and ? in names, which would end the path of the link
+    const href = (dir + child).split('/').map(encodeURIComponent).join('/') + query
+    items += `<li><a href="${escape(href)}">${escape(child)}</a></li>\n`
+  }
+
+  const html = `<!DOCTYPE html>\n<title>Index of ${escape(dir)}</title>\n<h1>Index of ${escape(dir)}</h1>\n<ul>\n${items}</ul>\n`
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8')
+  res.setHeader('Content-Length', Buffer.byteLength(html))
+  res.end(req.method === 'HEAD' ? null : html)
+}
+
+function parseRange (header, size) {
+  // only a single range is supported, multipart responses are not worth the complexity
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim())
+  if (!match || (match[1] === '' && match[2] === '')) return null
+
+  let start = 0
+  let end = size - 1
+
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]))
+  } else {
+    start = Number(match[1])
+    if (match[2] !== '') end = Math.min(end, Number(match[2]))
+  }
+
+  if (start > end || start >= size) return null
+  return { start, end }
+}
+
+function send (res, status, message) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+  res.setHeader('Content-Length', Buffer.byteLength(message))
+  res.end(message)
+}
+
+function escape (str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
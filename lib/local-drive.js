@@ -0,0 +1,334 @@
+const fs = require('fs')
+const path = require('path')
+const { Readable, Writable } = require('streamx')
+const mirror = require('./mirror')
+const { globBase, createFilter } = require('./glob')
+const stat = require('./stat')
+const errors = require('./errors')
+
+module.exports = class LocalDrive {
+  constructor (root) {
+    this.root = path.resolve(root)
+  }
+
+  ready () {
+    return Promise.resolve()
+  }
+
+  close () {
+    return Promise.resolve()
+  }
+
+  async entry (name) {
+    if (typeof name !== 'string') return name
+
+    const key = normalize(name)
+    const filename = this._filename(key)
+
+    let st = null
+    try {
+      st = await fs.promises.lstat(filename)
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null
+      throw err
+    }
+
+    if (st.isSymbolicLink()) {
+      const linkname = await fs.promises.readlink(filename)
+      return makeEntry(key, st, linkname)
+    }
+
+    if (st.isDirectory()) return makeEntry(key, st, null, true)
+    if (!st.isFile()) return null
+    return makeEntry(key, st, null)
+  }
+
+  async stat (name, { follow = false } = {}) {
+    const key = normalize(name)
+    const filename = this._filename(key)
+
+    let st = null
+    try {
+      st = follow ? await fs.promises.stat(filename) : await fs.promises.lstat(filename)
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null
+      throw err
+    }
+
+    if (st.isDirectory()) return stat.fromEntry(makeEntry(key, st, null, true))
+    if (st.isSymbolicLink()) return stat.fromEntry(makeEntry(key, st, await fs.promises.readlink(filename)))
+    return st.isFile() ? stat.fromEntry(makeEntry(key, st, null)) : null
+  }
+
+  async get (name) {
+    const node = await this.entry(name)
+    if (!node?.value.blob) return null
+    return fs.promises.readFile(this._filename(node.key))
+  }
+
+  async put (name, buf, { executable = false, mtime = null } = {}) {
+    const filename = await this._writableFile(normalize(name))
+    await fs.promises.writeFile(filename, buf)
+    await setStat(filename, executable, mtime)
+  }
+
+  async del (name) {
+    const filename = this._filename(normalize(name))
+    await this._checkFolder(path.dirname(filename))
+
+    try {
+      await fs.promises.unlink(filename)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+
+  async symlink (name, dst, { mtime = null } = {}) {
+    const filename = this._filename(normalize(name))
+    await this._checkFolder(path.dirname(filename))
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true })
+    await this.del(name)
+    await fs.promises.symlink(dst, filename)
+    if (mtime) await fs.promises.lutimes(filename, new Date(mtime), new Date(mtime))
+  }
+
+  async mkdir (name, { mtime = null } = {}) {
+    const filename = this._filename(normalize(name))
+    await this._checkFolder(filename)
+    await fs.promises.mkdir(filename, { recursive: true })
+    if (mtime) await fs.promises.utimes(filename, new Date(mtime), new Date(mtime))
+  }
+
+  async rmdir (name, { recursive = false } = {}) {
+    const filename = this._filename(normalize(name))
+    await this._checkFolder(path.dirname(filename))
+    if (recursive) await fs.promises.rm(filename, { recursive: true })
+    else await fs.promises.rmdir(filename)
+  }
+
+  mirror (dest, opts) {
+    return mirror(this, dest, opts)
+  }
+
+  list (folder, { recursive = true, glob, ignore, ignoreFiles } = {}) {
+    const self = this
+    const root = normalize(folder)
+    const filter = createFilter(this, root === '/' ? '' : root, { glob, ignore, ignoreFiles })
+    const stack = [path.posix.join(root, globBase(glob))]
+    const entries = []
+
+    return new Readable({
+      async read (cb) {
+        try {
+          while (entries.length === 0 && stack.length > 0) await walk(stack.pop())
+        } catch (err) {
+          return cb(err)
+        }
+
+        this.push(entries.length ? entries.shift() : null)
+        cb(null)
+      }
+    })
+
+    async function walk (dir) {
+      let names = null
+
+      try {
+        names = await fs.promises.readdir(self._filename(dir))
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return
+        throw err
+      }
+
+      const folders = []
+
+      for (const name of names.sort()) {
+        const key = path.posix.join(dir, name)
+        const st = await fs.promises.lstat(self._filename(key))
+
+        if (st.isDirectory()) {
+          if (recursive) folders.push(key)
+          continue
+        }
+
+        const node = await self.entry(key)
+        if (node && (!filter || await filter(key))) entries.push(node)
+      }
+
+      // pushed in reverse, so the folders are walked in order
+      for (let i = folders.length - 1; i >= 0; i--) stack.push(folders[i])
+    }
+  }
+
+  readdir (folder) {
+    const dir = this._filename(normalize(folder))
+    let names = null
+
+    return new Readable({
+      async read (cb) {
+        if (names === null) {
+          try {
+            names = (await fs.promises.readdir(dir)).sort()
+          } catch (err) {
+            if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') return cb(err)
+            names = []
+          }
+        }
+
+        this.push(names.length ? names.shift() : null)
+        cb(null)
+      }
+    })
+  }
+
+  createReadStream (name, { start = 0, end = Infinity, length } = {}) {
+    const self = this
+
+    if (length !== undefined) end = start + length - 1
+
+    let fd = 0
+    let position = start
+
+    return new Readable({
+      open (cb) {
+        self.entry(name).then(onnode, cb)
+
+        function onnode (node) {
+          if (!node) return cb(errors.ENOENT('No such file: ' + name))
+          fs.open(self._filename(node.key), 'r', onopen)
+        }
+
+        function onopen (err, res) {
+          if (err) return cb(err)
+          fd = res
+          cb(null)
+        }
+      },
+      read (cb) {
+        const size = Math.min(65536, end - position + 1)
+        if (size <= 0) {
+          this.push(null)
+          return cb(null)
+        }
+
+        const buf = Buffer.allocUnsafe(size)
+
+        fs.read(fd, buf, 0, size, position, (err, bytesRead) => {
+          if (err) return cb(err)
+          position += bytesRead
+          this.push(bytesRead ? buf.subarray(0, bytesRead) : null)
+          cb(null)
+        })
+      },
+      destroy (cb) {
+        if (!fd) return cb(null)
+        fs.close(fd, () => cb(null))
+      }
+    })
+  }
+
+  createWriteStream (name, { executable = false, mtime = null } = {}) {
+    const self = this
+    const key = normalize(name)
+
+    let filename = null
+    let fd = 0
+
+    return new Writable({
+      open (cb) {
+        self._writableFile(key).then(function (res) {
+          filename = res
+          fs.open(filename, 'w', onopen)
+        }, cb)
+
+        function onopen (err, res) {
+          if (err) return cb(err)
+          fd = res
+          cb(null)
+        }
+      },
+      write (data, cb) {
+        fs.write(fd, data, 0, data.byteLength, null, (err) => cb(err))
+      },
+      final (cb) {
+        const done = () => {
+          fd = 0
+          setStat(filename, executable, mtime).then(() => cb(null), cb)
+        }
+
+        fs.close(fd, (err) => err ? cb(err) : done())
+      },
+      destroy (cb) {
+        if (!fd) return cb(null)
+        fs.close(fd, () => cb(null))
+      }
+    })
+  }
+
+  _filename (key) {
+    return path.join(this.root, key)
+  }
+
+  // the folders of a file, created if needed, with a symlink at its path replaced instead of written through
+  async _writableFile (key) {
+    const filename = this._filename(key)
+    await this._checkFolder(path.dirname(filename))
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true })
+
+    try {
+      if ((await fs.promises.lstat(filename)).isSymbolicLink()) await fs.promises.unlink(filename)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+
+    return filename
+  }
+
+  // a mirrored drive can hold symlinks to anywhere, so nothing is written through a folder that leads outside of root
+  async _checkFolder (dir) {
+    const [real, root] = await Promise.all([realpath(dir), realpath(this.root)])
+
+    if (real !== root && !real.startsWith(root + path.sep)) {
+      throw errors.EACCES('Path leads outside of the root folder: ' + dir)
+    }
+  }
+}
+
+function makeEntry (key, st, linkname, directory = false) {
+  const file = linkname === null && !directory
+
+  return {
+    key,
+    value: {
+      executable: file && (st.mode & 0o111) !== 0,
+      linkname,
+      blob: file ? { byteOffset: 0, byteLength: st.size } : null,
+      metadata: null,
+      mtime: Math.round(st.mtimeMs),
+      ctime: Math.round(st.ctimeMs),
+      mode: st.mode,
+      directory
+    }
+  }
+}
+
+async function setStat (filename, executable, mtime) {
+  const mode = (await fs.promises.stat(filename)).mode & 0o7777
+  // like chmod +x and chmod -x, so the bits set by the umask are kept
+  await fs.promises.chmod(filename, executable ? mode | ((mode & 0o444) >> 2) : mode & ~0o111)
+  if (mtime) await fs.promises.utimes(filename, new Date(mtime), new Date(mtime))
+}
+
+// the part of a path that does not exist yet cannot contain symlinks, so only the rest is resolved
+async function realpath (filename) {
+  try {
+    return await fs.promises.realpath(filename)
+  } catch (err) {
+    if (err.code !== 'ENOENT' || path.dirname(filename) === filename) throw err
+    return path.join(await realpath(path.dirname(filename)), path.basename(filename))
+  }
+}
+
+function normalize (key) {
+  return path.posix.join('/', key || '')
+}
@@ -0,0 +1,96 @@
+const { pipelinePromise: pipeline } = require('streamx')
+const { createFilter } = require('./glob')
+const { hasContent, contentLength } = require('./segments')
+
+module.exports = async function mirror (src, dest, { prefix = '', filter = null, dryRun = false, prune = false, version = 0, glob, ignore, ignoreFiles } = {}) {
+  const stats = { added: 0, changed: 0, removed: 0, bytes: 0 }
+  const patterns = { glob, ignore, ignoreFiles }
+  const matches = createFilter(src, prefix.endsWith('/') ? prefix.slice(0, -1) : prefix, patterns)
+  const include = async (key) => (filter === null || filter(key)) && (matches === null || await matches(key))
+
+  const copy = async (node) => {
+    if (!(await include(node.key))) return
+
+    const prev = await dest.entry(node.key)
+    if (prev && await sameEntry(src, node, dest, prev)) return
+
+    if (prev) stats.changed++
+    else stats.added++
+
+    stats.bytes += contentLength(node.value)
+    if (dryRun) return
+
+    const { executable, linkname, directory, metadata, mtime } = node.value
+    if (directory) await dest.mkdir(node.key, { metadata, mtime })
+    else if (linkname) await dest.symlink(node.key, linkname, { metadata, mtime })
+    else await pipeline(src.createReadStream(node, { follow: false }), dest.createWriteStream(node.key, { executable, metadata, mtime }))
+  }
+
+  // folders are removed after the entries in them, and only once they are empty
+  const folders = []
+
+  const remove = async (key) => {
+    if (!(await include(key))) return
+
+    const node = await dest.entry(key)
+    if (!node) return
+    if (node.value.directory) return folders.push(key)
+
+    stats.removed++
+    if (!dryRun) await dest.del(key)
+  }
+
+  const removeFolders = async () => {
+    for (const key of folders.reverse()) {
+      if (!dryRun) {
+        try {
+          await dest.rmdir(key)
+        } catch (err) {
+          if (err.code === 'ENOTEMPTY') continue
+          throw err
+        }
+      }
+      stats.removed++
+    }
+  }
+
+  if (version) {
+    // only look at what changed in the source since the last mirrored version
+    for await (const { left, right } of src.diff(version, prefix || null)) {
+      if (left) await copy(left)
+      else if (prune) await remove(right.key)
+    }
+    await removeFolders()
+    return stats
+  }
+
+  for await (const node of src.list(prefix, patterns)) await copy(node)
+
+  if (prune) {
+    for await (const node of dest.list(prefix)) {
+      if (!(await src.entry(node.key))) await remove(node.key)
+    }
+    await removeFolders()
+  }
+
+  return stats
+}
+
+async function sameEntry (a, aNode, b, bNode) {
+  const x = aNode.value
+  const y = bNode.value
+
+  if (!!x.directory !== !!y.directory) return false
+  if (x.executable !== y.executable || x.linkname !== y.linkname) return false
+  if (JSON.stringify(x.metadata) !== JSON.stringify(y.metadata)) return false
+  if (!hasContent(x) || !hasContent(y)) return hasContent(x) === hasContent(y)
+  if (contentLength(x) !== contentLength(y)) return false
+
+  if (x.hash && y.hash) return x.hash === y.hash
+
+  // same size and modification time is considered unchanged, like rsync does
+  if (x.mtime && y.mtime) return x.mtime === y.mtime
+
+  const [left, right] = await Promise.all([a.get(aNode, { follow: false }), b.get(bNode, { follow: false })])
+  return left.equals(right)
+}
@@ -0,0 +1,81 @@
+// the content of a file is either a single blob, or a list of byte ranges of blobs after partial writes
+
+exports.segmentsOf = function segmentsOf (value) {
+  if (value.segments) return value.segments
+  return value.blob ? [{ blob: value.blob, start: 0, length: value.blob.byteLength }] : []
+}
+
+exports.hasContent = function hasContent (value) {
+  return !!(value.blob || value.segments)
+}
+
+exports.contentLength = function contentLength (value) {
+  if (value.compression) return value.compression.byteLength
+  if (value.segments) return value.segments.reduce((size, { length }) => size + length, 0)
+  return value.blob ? value.blob.byteLength : 0
+}
+
+// the bytes stored in the blobs, usually less than the content for compressed files
+exports.storedLength = function storedLength (value) {
+  return value.compression ? value.blob.byteLength : exports.contentLength(value)
+}
+
+// the distinct blobs the content is stored in
+exports.blobsOf = function blobsOf (value) {
+  const blobs = []
+  for (const { blob } of exports.segmentsOf(value)) {
+    if (!blobs.some((b) => b.blockOffset === blob.blockOffset)) blobs.push(blob)
+  }
+  return blobs
+}
+
+// the parts of the segments holding the length bytes at start
+exports.slice = function slice (segments, start, length) {
+  const result = []
+  const end = start + length
+
+  let offset = 0
+
+  for (const segment of segments) {
+    const from = Math.max(start, offset)
+    const to = Math.min(end, offset + segment.length)
+
+    if (from < to) result.push({ blob: segment.blob, start: segment.start + from - offset, length: to - from })
+
+    offset += segment.length
+    if (offset >= end) break
+  }
+
+  return result
+}
+
+// replaces the bytes at position with the segment, keeping the segments before and after it
+exports.splice = function splice (segments, position, segment) {
+  const size = segments.reduce((size, { length }) => size + length, 0)
+  const after = position + segment.length
+
+  return merge([
+    ...exports.slice(segments, 0, position),
+    segment,
+    ...exports.slice(segments, after, Math.max(0, size - after))
+  ])
+}
+
+function merge (segments) {
+  const result = []
+
+  for (const segment of segments) {
+    if (segment.length === 0) continue
+
+    const prev = result[result.length - 1]
+    // consecutive ranges of the same blob are a single segment again
+    if (prev && prev.blob.blockOffset === segment.blob.blockOffset && prev.start + prev.length === segment.start) {
+      result[result.length - 1] = { blob: prev.blob, start: prev.start, length: prev.length + segment.length }
+      continue
+    }
+
+    result.push(segment)
+  }
+
+  return result
+}
@@ -0,0 +1,36 @@
+const { contentLength, storedLength } = require('./segments')
+
+const S_IFREG = 0o100000
+const S_IFDIR = 0o040000
+const S_IFLNK = 0o120000
+
+exports.fileMode = function fileMode (executable) {
+  return S_IFREG | (executable ? 0o755 : 0o644)
+}
+
+exports.linkMode = function linkMode () {
+  return S_IFLNK | 0o777
+}
+
+exports.dirMode = function dirMode () {
+  return S_IFDIR | 0o755
+}
+
+// folders without an entry of their own only exist through the entries in them, so they have no times
+exports.directory = function directory (mtime = null, ctime = null, mode = null) {
+  return { type: 'directory', size: 0, storedSize: 0, mtime, ctime, mode: mode || exports.dirMode(), executable: false, linkname: null }
+}
+
+// entries written before the times and mode were recorded get them derived, or set to null
+exports.fromEntry = function fromEntry (node) {
+  const { executable, linkname, directory, mount, mtime = null, ctime = null, mode = null } = node.value
+
+  // a mount point is the root folder of the mounted drive
+  if (directory || mount) return exports.directory(mtime, ctime, mode)
+
+  if (linkname) {
+    return { type: 'symlink', size: 0, storedSize: 0, mtime, ctime, mode: mode || exports.linkMode(), executable: false, linkname }
+  }
+
+  return { type: 'file', size: contentLength(node.value), storedSize: storedLength(node.value), mtime, ctime, mode: mode || exports.fileMode(executable), executable, linkname: null }
+}
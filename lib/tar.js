@@ -0,0 +1,75 @@
+const path = require('path').posix
+const tar = require('tar-stream')
+const { pipeline, pipelinePromise } = require('streamx')
+const { contentLength } = require('./segments')
+
+// tar has no field for the metadata of an entry, so it is stored as json in a vendor pax record
+const PAX_METADATA = 'HYPERDRIVE.metadata'
+
+exports.pack = function pack (drive, folder = '/', { version = 0 } = {}) {
+  const archive = tar.pack()
+
+  packEntries(drive, folder, version, archive).then(() => archive.finalize(), (err) => archive.destroy(err))
+
+  return archive
+}
+
+async function packEntries (drive, folder, version, archive) {
+  const snapshot = version ? await drive.checkout(version) : drive
+  if (folder.endsWith('/')) folder = folder.slice(0, -1)
+
+  for await (const node of snapshot.list(folder)) {
+    if (archive.destroyed) return
+
+    const { executable, linkname, directory, metadata, mtime } = node.value
+    const header = {
+      name: node.key.slice(folder.length + 1),
+      mode: executable ? 0o755 : 0o644,
+      mtime: mtime ? new Date(mtime) : new Date(node.value.ctime),
+      pax: metadata ? { [PAX_METADATA]: JSON.stringify(metadata) } : null
+    }
+
+    if (linkname) {
+      archive.entry({ ...header, type: 'symlink', linkname, mode: 0o777 })
+      continue
+    }
+
+    if (directory) {
+      archive.entry({ ...header, type: 'directory', mode: 0o755 })
+      continue
+    }
+
+    // the content is only read once the archive is ready for the entry
+    const rs = snapshot.createReadStream(node, { follow: false })
+    await pipelinePromise(rs, archive.entry({ ...header, type: 'file', size: contentLength(node.value) }))
+  }
+}
+
+exports.extract = async function extract (drive, stream, prefix = '/') {
+  const batch = drive.batch()
+  const archive = pipeline(stream, tar.extract())
+
+  try {
+    for await (const entry of archive) {
+      const { name, type, mode, linkname, mtime, pax } = entry.header
+      // names are resolved against the root first, so .. can not escape the prefix, and folders lose their trailing slash
+      const key = path.join('/', prefix, path.join('/', name)).replace(/(.)\/$/, '$1')
+      const opts = { metadata: pax && pax[PAX_METADATA] ? JSON.parse(pax[PAX_METADATA]) : null, mtime: mtime ? mtime.getTime() : null }
+
+      if (type === 'file' || type === 'contiguous-file') {
+        await pipelinePromise(entry, batch.createWriteStream(key, { ...opts, executable: (mode & 0o111) !== 0 }))
+        continue
+      }
+
+      // folders that exist already are kept, and other types have no equivalent in a drive
+      if (type === 'symlink') await batch.symlink(key, linkname, opts)
+      else if (type === 'directory' && key !== '/' && !(await batch.entry(key))) await batch.mkdir(key, opts)
+      entry.resume()
+    }
+  } catch (err) {
+    await batch.close()
+    throw err
+  }
+
+  await batch.flush()
+}
@@ -1,5 +1,6 @@
 const fs = require('fs')
 const os = require('os')
+const http = require('http')
 const path = require('path')
 const { once } = require('events')
 const test = require('brittle')
@@ -12,6 +13,8 @@ const DHT = require('@hyperswarm/dht')
 const Hyperswarm = require('hyperswarm')
 
 const Hyperdrive = require('./index.js')
+const LocalDrive = require('./lib/local-drive.js')
+const createHandler = require('./lib/http.js')
 
 test('drive.core', async (t) => {
   const { drive } = await testenv(t.teardown)
@@ -94,7 +97,7 @@ test('drive.createWriteStream(path) and drive.createReadStream(path)', async (t)
       drive.createReadStream(__filename),
       new Writable({
         write (data, cb) {
-          if (bndlbuf) bndlbuf = Buffer.concat(bndlbuf, data)
+          if (bndlbuf) bndlbuf = Buffer.concat([bndlbuf, data])
           else bndlbuf = data
           return cb(null)
         }
@@ -123,6 +126,71 @@ test('drive.createWriteStream(path) and drive.createReadStream(path)', async (t)
   }
 })
 
+test('drive.get(path, { start, end, length }) and drive.createReadStream(path, { start, end, length })', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const buf = Buffer.alloc(200 * 1024)
+  for (let i = 0; i < buf.length; i++) buf[i] = i & 0xff
+  await drive.put('/file', buf)
+
+  t.alike(await drive.get('/file', { start: 70000, end: 140000 }), buf.subarray(70000, 140001))
+  t.alike(await drive.get('/file', { start: 10, length: 5 }), buf.subarray(10, 15))
+  t.alike(await drive.get('/file', { start: 204000 }), buf.subarray(204000))
+  t.alike(await drive.get('/file', { end: 1000000 }), buf)
+  t.alike(await drive.get('/file', { start: 1000000 }), Buffer.alloc(0))
+
+  const chunks = []
+  for await (const data of drive.createReadStream('/file', { start: 65000, length: 100000 })) chunks.push(data)
+  t.alike(Buffer.concat(chunks), buf.subarray(65000, 165000))
+})
+
+test('drive.get(path, { start, end }) only downloads the blocks covering the range', async (t) => {
+  const { drive, mirror, corestore } = await testenv(t.teardown)
+  replicate(corestore, mirror.corestore)
+
+  const buf = Buffer.alloc(10 * 65536, 'x')
+  await drive.put('/file', buf)
+
+  const blobs = await mirror.drive.getBlobs()
+  const telem = downloadShark(blobs.core)
+
+  t.alike(await mirror.drive.get('/file', { start: 3 * 65536 + 10, end: 4 * 65536 + 10 }), buf.subarray(0, 65537))
+  t.alike(telem.offsets.sort(), [3, 4])
+})
+
+test('drive.open(path) and fh.read(buf, offset, length, position)', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const buf = Buffer.alloc(3 * 65536 + 100)
+  for (let i = 0; i < buf.length; i++) buf[i] = i & 0xff
+  await drive.put('/file', buf)
+  await drive.symlink('/link', '/file')
+
+  const fh = await drive.open('/link')
+  t.is((await fh.stat()).size, buf.length)
+
+  await drive.put('/file', Buffer.from('overwritten'))
+
+  const out = Buffer.alloc(70000)
+  let res = await fh.read(out, 0, 70000, 65000)
+  t.is(res.bytesRead, 70000)
+  t.alike(out, buf.subarray(65000, 135000))
+
+  res = await fh.read(out, 10, 100, 65100)
+  t.is(res.bytesRead, 100)
+  t.alike(out.subarray(10, 110), buf.subarray(65100, 65200))
+
+  res = await fh.read(out, 0, 1000, buf.length - 50)
+  t.is(res.bytesRead, 50)
+  t.alike(out.subarray(0, 50), buf.subarray(buf.length - 50))
+
+  res = await fh.read(out, 0, 10)
+  res = await fh.read(out, 10, 10)
+  t.alike(out.subarray(0, 20), buf.subarray(0, 20))
+
+  await fh.close()
+  await t.exception(fh.read(out, 0, 10, 0), /ECLOSED/)
+  await t.exception(drive.open('/missing'), /ENOENT/)
+})
+
 test('drive.del() deletes entry at path', async (t) => {
   t.plan(3)
   const { drive } = await testenv(t.teardown)
@@ -136,16 +204,137 @@ test('drive.del() deletes entry at path', async (t) => {
   t.is(entry, null)
 })
 
+test('drive.del(path, { clear: true }) clears the blob of the entry', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/a', Buffer.from('a'))
+  await drive.put('/b', Buffer.from('b'))
+  const { value: a } = await drive.entry('/a')
+  const { value: b } = await drive.entry('/b')
+  await drive.del('/a', { clear: true })
+  t.absent(await drive.blobs.core.has(a.blob.blockOffset))
+  t.ok(await drive.blobs.core.has(b.blob.blockOffset))
+
+  // a tagged version can still be checked out, so its blobs are kept
+  await drive.tag('v1')
+  await drive.del('/b', { clear: true })
+  t.ok(await drive.blobs.core.has(b.blob.blockOffset))
+  t.alike(await (await drive.checkout('v1')).get('/b'), Buffer.from('b'))
+})
+
+test('drive.put(path, buf, { clear: true }) clears the overwritten blob', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/a', Buffer.from('old'))
+  const { value: prev } = await drive.entry('/a')
+  await drive.put('/a', Buffer.from('new'), { clear: true })
+  t.absent(await drive.blobs.core.has(prev.blob.blockOffset))
+  t.alike(await drive.get('/a'), Buffer.from('new'))
+})
+
+test('drive.gc([options])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/a', Buffer.from('v1'))
+  const version = drive.version
+  const { value: v1 } = await drive.entry('/a')
+  await drive.put('/a', Buffer.from('v2'))
+  const { value: v2 } = await drive.entry('/a')
+  await drive.put('/b', Buffer.from('b'))
+  await drive.del('/b')
+
+  t.is(await drive.gc({ versions: [version] }), 1)
+  t.ok(await drive.blobs.core.has(v1.blob.blockOffset))
+
+  await drive.tag('v1', version)
+  await drive.gc()
+  t.ok(await drive.blobs.core.has(v1.blob.blockOffset))
+  t.alike(await (await drive.checkout('v1')).get('/a'), Buffer.from('v1'))
+
+  await drive.untag('v1')
+  t.is(await drive.gc(), 2)
+  t.absent(await drive.blobs.core.has(v1.blob.blockOffset))
+  t.ok(await drive.blobs.core.has(v2.blob.blockOffset))
+  t.alike(await drive.get('/a'), Buffer.from('v2'))
+})
+
+test('drive.gc() keeps the blobs of writes in progress', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/old', Buffer.from('old'))
+  await drive.del('/old')
+
+  const ws = drive.createWriteStream('/big')
+  ws.write(Buffer.alloc(40 * 1024, 'a'))
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.is(await drive.gc(), 1)
+
+  ws.end()
+  await once(ws, 'close')
+
+  const batch = drive.batch()
+  await batch.put('/batched', Buffer.from('batched'))
+  await drive.gc()
+  await batch.flush()
+
+  const report = await drive.verify()
+  t.alike(report.problems, [])
+  t.is((await drive.get('/big')).byteLength, 40 * 1024)
+  t.alike(await drive.get('/batched'), Buffer.from('batched'))
+})
+
+test('drive.batch() only clears blobs on flush', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/a', Buffer.from('a'))
+  const { value: a } = await drive.entry('/a')
+  const batch = drive.batch()
+  await batch.del('/a', { clear: true })
+  t.ok(await drive.blobs.core.has(a.blob.blockOffset))
+  await batch.flush()
+  t.absent(await drive.blobs.core.has(a.blob.blockOffset))
+})
+
 test('drive.symlink(from, to) updates the entry at <from> to include a reference for <to>', async (t) => {
   const { drive } = await testenv(t.teardown)
   const buf = fs.readFileSync(__filename)
   await drive.put(__filename, buf)
   await drive.symlink('pointer', __filename)
-  const result = await drive.get('pointer')
-  t.is(result, null)
+  await t.exception(drive.get('pointer', { follow: false }), /ELOOP/)
   const entry = await drive.entry('pointer')
   t.is(entry.value.linkname, __filename)
   t.is(Buffer.compare(buf, await drive.get(entry.value.linkname)), 0)
+  t.is(Buffer.compare(buf, await drive.get('pointer')), 0)
+})
+
+test('drive.entry(path, { follow: true }) resolves relative and absolute symlinks', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/parent/file', Buffer.from('file'))
+  await drive.symlink('/parent/relative', 'file')
+  await drive.symlink('/other/upwards', '../parent/relative')
+  await drive.symlink('/absolute', '/other/upwards')
+
+  const link = await drive.entry('/absolute')
+  t.is(link.value.linkname, '/other/upwards')
+
+  const target = await drive.entry('/absolute', { follow: true })
+  t.is(target.key, '/parent/file')
+  t.alike(await drive.get('/absolute'), Buffer.from('file'))
+
+  let read = Buffer.alloc(0)
+  for await (const data of drive.createReadStream('/absolute')) read = Buffer.concat([read, data])
+  t.alike(read, Buffer.from('file'))
+})
+
+test('drive.get(path) fails on symlink loops and broken symlinks', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.symlink('/a', '/b')
+  await drive.symlink('/b', '/a')
+  await drive.symlink('/broken', '/missing')
+
+  await t.exception(drive.get('/a'), /ELOOP/)
+  await t.exception(drive.get('/broken'), /ENOENT/)
+  await t.exception(drive.entry('/broken', { follow: true }), /ENOENT/)
+  t.is((await drive.entry('/broken')).value.linkname, '/missing')
+
+  const rs = drive.createReadStream('/a')
+  await t.exception(async () => { for await (const data of rs) t.fail(data) }, /ELOOP/)
 })
 
 test('drive.entry(path) gets entry at path', async (t) => {
@@ -249,6 +438,165 @@ test('drive.entry(path) gets entry at path', async (t) => {
   }
 })
 
+test('drive.stat(path, [options])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const before = Date.now()
+  await drive.put('/parent/file', Buffer.from('file'), { executable: true })
+  await drive.put('/parent/old', Buffer.from('old'), { mtime: 1000 })
+  await drive.symlink('/link', '/parent/file')
+
+  const file = await drive.stat('/parent/file')
+  t.is(file.type, 'file')
+  t.is(file.size, 4)
+  t.is(file.executable, true)
+  t.is(file.mode, 0o100755)
+  t.ok(file.mtime >= before && file.mtime === file.ctime)
+
+  const old = await drive.stat('/parent/old')
+  t.is(old.mtime, 1000)
+  t.ok(old.ctime >= before)
+  t.is(old.mode, 0o100644)
+
+  const link = await drive.stat('/link')
+  t.is(link.type, 'symlink')
+  t.is(link.linkname, '/parent/file')
+  t.is(link.mode, 0o120777)
+  t.is((await drive.stat('/link', { follow: true })).size, 4)
+
+  t.is((await drive.stat('/parent')).type, 'directory')
+  t.is((await drive.stat('/parent/')).type, 'directory')
+  t.is(await drive.stat('/missing'), null)
+
+  // entries written before the times and mode were recorded
+  await drive.files.put('/legacy', { executable: true, linkname: null, blob: (await drive.entry('/parent/file')).value.blob, metadata: null })
+  const legacy = await drive.stat('/legacy')
+  t.alike(legacy, { type: 'file', size: 4, storedSize: 4, mtime: null, ctime: null, mode: 0o100755, executable: true, linkname: null })
+})
+
+test('new Hyperdrive(corestore, { dedup: true }) reuses identical blobs', async (t) => {
+  const corestore = new Corestore(ram)
+  const drive = new Hyperdrive(corestore, { dedup: true })
+  t.teardown(() => drive.close())
+
+  const buf = Buffer.from('same content')
+  await drive.put('/a', buf)
+  const length = drive.blobs.core.length
+  await drive.put('/b', buf)
+  t.is(drive.blobs.core.length, length)
+
+  const { value: a } = await drive.entry('/a')
+  const { value: b } = await drive.entry('/b')
+  t.alike(a.blob, b.blob)
+  t.is(a.hash, b.hash)
+  t.is(a.hash.length, 64)
+
+  await pipeline(Readable.from([buf]), drive.createWriteStream('/c'))
+  t.alike((await drive.entry('/c')).value.blob, a.blob)
+  t.alike(await drive.get('/c'), buf)
+
+  const batch = drive.batch()
+  await batch.put('/d', Buffer.from('batched'))
+  await batch.put('/e', Buffer.from('batched'))
+  await batch.flush()
+  t.alike((await drive.entry('/d')).value.blob, (await drive.entry('/e')).value.blob)
+
+  // shared blobs are kept when one of the entries is removed
+  await drive.del('/a', { clear: true })
+  t.alike(await drive.get('/b'), buf)
+
+  // blobs that are no longer available locally are not reused
+  await drive.del('/b')
+  await drive.del('/c')
+  await drive.gc()
+  await drive.put('/f', buf)
+  t.ok((await drive.entry('/f')).value.blob.blockOffset >= length)
+  t.alike(await drive.get('/f'), buf)
+})
+
+test('drive.put(path, buf, { ifVersion, ifNotExists, ifMatch })', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/a', Buffer.from('a'), { ifNotExists: true })
+  await t.exception(drive.put('/a', Buffer.from('b'), { ifNotExists: true }), /EPRECONDITION/)
+
+  const entry = await drive.entry('/a')
+  await t.exception(drive.put('/a', Buffer.from('b'), { ifVersion: entry.seq }), /EPRECONDITION/)
+  await drive.put('/a', Buffer.from('b'), { ifVersion: drive.version })
+  await t.exception(drive.put('/a', Buffer.from('c'), { ifVersion: entry.seq + 1 }), /EPRECONDITION/)
+  t.alike(await drive.get('/a'), Buffer.from('b'))
+
+  const { value } = await drive.entry('/a')
+  await t.exception(drive.symlink('/a', '/b', { ifMatch: entry.value.blob }), /EPRECONDITION/)
+  await drive.symlink('/a', '/b', { ifMatch: value.blob })
+  t.is((await drive.entry('/a')).value.linkname, '/b')
+
+  await t.exception(drive.del('/missing', { ifVersion: 1 }), /EPRECONDITION/)
+  await t.exception(drive.del('/a', { ifVersion: entry.seq + 1 }), /EPRECONDITION/)
+  await drive.del('/a', { ifVersion: (await drive.entry('/a')).seq + 1 })
+  t.is(await drive.entry('/a'), null)
+
+  const ws = drive.createWriteStream('/c', { ifMatch: 'not the hash' })
+  await t.exception(pipeline(Readable.from([Buffer.from('c')]), ws), /EPRECONDITION/)
+  t.is(await drive.entry('/c'), null)
+})
+
+test('drive.batch() fails as a whole on a precondition miss', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/a', Buffer.from('a'))
+
+  const batch = drive.batch()
+  await batch.put('/b', Buffer.from('b'), { ifNotExists: true })
+  await t.exception(batch.put('/a', Buffer.from('a'), { ifNotExists: true }), /EPRECONDITION/)
+  await t.exception(batch.flush(), /EPRECONDITION/)
+
+  t.is(await drive.entry('/b'), null)
+  t.alike(await drive.get('/a'), Buffer.from('a'))
+  await drive.put('/c', Buffer.from('c'))
+  t.alike(await drive.get('/c'), Buffer.from('c'))
+})
+
+test('drive.copy(src, dst) and drive.move(src, dst)', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/src/a', Buffer.from('a'), { executable: true, metadata: { a: true } })
+  await drive.put('/src/sub/b', Buffer.from('b'))
+  await drive.symlink('/src/link', 'a')
+  const length = drive.blobs.core.length
+
+  await drive.copy('/src/a', '/copy')
+  const { value: a } = await drive.entry('/src/a')
+  const { value: copy } = await drive.entry('/copy')
+  t.alike(copy.blob, a.blob)
+  t.is(copy.executable, true)
+  t.alike(copy.metadata, { a: true })
+
+  await drive.copy('/src/', '/dst')
+  t.alike(await drive.get('/dst/sub/b'), Buffer.from('b'))
+  t.alike(await drive.get('/dst/link'), Buffer.from('a'))
+  t.alike(await drive.get('/src/sub/b'), Buffer.from('b'))
+
+  const version = drive.version
+  await drive.move('/dst', '/moved')
+  const keys = []
+  for await (const { key } of drive.list('/')) keys.push(key)
+  t.alike(keys, ['/copy', '/moved/a', '/moved/link', '/moved/sub/b', '/src/a', '/src/link', '/src/sub/b'])
+
+  // the move is applied as a single batch
+  const diff = []
+  for await (const entry of drive.diff(version)) diff.push(entry)
+  t.is(diff.length, 6)
+  t.is(drive.blobs.core.length, length)
+
+  // a shared blob is not cleared while another entry points at it
+  await drive.del('/copy', { clear: true })
+  t.alike(await drive.get('/src/a'), Buffer.from('a'))
+
+  await t.exception(drive.move('/missing', '/other'), /ENOENT/)
+
+  await drive.mkdir('/dir')
+  await t.exception(drive.move('/src/a', '/dir'), /EISDIR/)
+  t.is((await drive.stat('/dir')).type, 'directory')
+  t.alike(await drive.get('/src/a'), Buffer.from('a'))
+})
+
 test('drive.diff(length)', async (t) => {
   const { drive, paths: { root, tmp } } = await testenv(t.teardown)
   const paths = []
@@ -277,6 +625,559 @@ test('drive.diff(length)', async (t) => {
   }
 })
 
+test('drive.write(path, buf, [position])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/file', Buffer.from('hello world'), { executable: true })
+  const length = drive.blobs.core.length
+
+  await drive.write('/file', Buffer.from('W'), 6)
+  t.alike(await drive.get('/file'), Buffer.from('hello World'))
+  t.is(drive.blobs.core.length, length + 1, 'only the new bytes are appended')
+
+  await drive.write('/file', Buffer.from('!'))
+  await drive.write('/file', Buffer.from('?'), 14)
+  t.alike(await drive.get('/file'), Buffer.from('hello World!\0\0?'))
+
+  const { value } = await drive.entry('/file')
+  t.is(value.blob, null)
+  t.is(value.executable, true)
+  t.alike(value.segments.map(({ start, length }) => [start, length]), [[0, 6], [0, 1], [7, 4], [0, 1], [0, 3]])
+
+  t.alike(await drive.get('/file', { start: 4, length: 5 }), Buffer.from('o Wor'))
+  t.alike(await drive.get('/file', { start: 11 }), Buffer.from('!\0\0?'))
+
+  const chunks = []
+  for await (const chunk of drive.createReadStream('/file', { start: 5, end: 11 })) chunks.push(chunk)
+  t.alike(Buffer.concat(chunks), Buffer.from(' World!'))
+
+  const fh = await drive.open('/file')
+  const { bytesRead, buffer } = await fh.read(Buffer.alloc(8), 0, 8, 4)
+  t.is(bytesRead, 8)
+  t.alike(buffer, Buffer.from('o World!'))
+  await fh.close()
+
+  t.is((await drive.stat('/file')).size, 15)
+  t.alike((await drive.verify()).problems, [])
+
+  // rewriting all the content makes it a single blob again
+  await drive.write('/new', Buffer.from('abc'))
+  t.absent((await drive.entry('/new')).value.segments)
+  await drive.write('/new', Buffer.from('xyz'), 0)
+  t.alike(await drive.get('/new'), Buffer.from('xyz'))
+})
+
+test('drive.createWriteStream(path, { append: true })', async (t) => {
+  const { drive } = await testenv(t.teardown)
+
+  const write = async (data, opts) => {
+    const ws = drive.createWriteStream('/log', { append: true, ...opts })
+    ws.end(Buffer.from(data))
+    await once(ws, 'close')
+  }
+
+  await write('first\n')
+  await write('second\n')
+  await drive.put('/other', Buffer.from('other'))
+  await write('third\n')
+
+  t.alike(await drive.get('/log'), Buffer.from('first\nsecond\nthird\n'))
+  t.is((await drive.entry('/log')).value.segments.length, 3)
+  t.alike((await drive.verify()).problems, [])
+  t.alike(await drive.get('/log', { start: 4, length: 6 }), Buffer.from('t\nseco'))
+
+  await t.exception(write('fourth\n', { ifVersion: 0 }), /EPRECONDITION/)
+  t.alike(await drive.get('/log'), Buffer.from('first\nsecond\nthird\n'))
+
+  // the segments are still used by the copy, so they are not cleared
+  await drive.copy('/log', '/log.bak')
+  await drive.put('/log', Buffer.from('replaced'), { clear: true })
+  t.alike(await drive.get('/log.bak'), Buffer.from('first\nsecond\nthird\n'))
+})
+
+test('drive.put(path, buf, { compression })', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const text = Buffer.from('all work and no play makes jack a dull boy\n'.repeat(100))
+
+  await drive.put('/plain.txt', text)
+  for (const type of ['gzip', 'brotli', 'deflate']) {
+    await drive.put('/' + type + '.txt', text, { compression: type })
+    const { value } = await drive.entry('/' + type + '.txt')
+    t.alike(value.compression, { type, byteLength: text.byteLength })
+    t.ok(value.blob.byteLength < text.byteLength)
+    t.alike(await drive.get('/' + type + '.txt'), text)
+  }
+
+  t.is((await drive.entry('/plain.txt')).value.compression, null)
+  t.is((await drive.entry('/gzip.txt')).value.hash, (await drive.entry('/plain.txt')).value.hash)
+
+  const st = await drive.stat('/gzip.txt')
+  t.is(st.size, text.byteLength)
+  t.ok(st.storedSize < st.size)
+  t.is((await drive.stat('/plain.txt')).storedSize, text.byteLength)
+
+  t.alike(await drive.get('/brotli.txt', { start: 43, length: 8 }), Buffer.from('all work'))
+
+  const chunks = []
+  for await (const chunk of drive.createReadStream('/deflate.txt', { start: 4291 })) chunks.push(chunk)
+  t.alike(Buffer.concat(chunks), Buffer.from('dull boy\n'))
+
+  const fh = await drive.open('/gzip.txt')
+  const { bytesRead, buffer } = await fh.read(Buffer.alloc(4), 0, 4, 47)
+  t.is(bytesRead, 4)
+  t.alike(buffer, Buffer.from('work'))
+  await fh.close()
+
+  await drive.write('/gzip.txt', Buffer.from('ALL'), 0)
+  t.is((await drive.entry('/gzip.txt')).value.compression.type, 'gzip')
+  t.alike(await drive.get('/gzip.txt', { length: 12 }), Buffer.from('ALL work and'))
+  t.alike((await drive.verify()).problems, [])
+
+  await t.exception(drive.put('/zip', text, { compression: 'zip' }), /EINVAL: Unknown compression/)
+})
+
+test('new Hyperdrive(corestore, { compression }) compresses streams', async (t) => {
+  const drive = new Hyperdrive(new Corestore(ram), { compression: 'gzip' })
+  t.teardown(() => drive.close())
+  const line = Buffer.from('a line of the log\n')
+
+  let ws = drive.createWriteStream('/compressed.log')
+  for (let i = 0; i < 100; i++) ws.write(line)
+  ws.end()
+  await once(ws, 'close')
+
+  const { value } = await drive.entry('/compressed.log')
+  t.alike(value.compression, { type: 'gzip', byteLength: line.byteLength * 100 })
+  t.alike(await drive.get('/compressed.log'), Buffer.concat(new Array(100).fill(line)))
+
+  ws = drive.createWriteStream('/compressed.log', { append: true })
+  ws.end(line)
+  await once(ws, 'close')
+  t.is((await drive.entry('/compressed.log')).value.compression.byteLength, line.byteLength * 101)
+  t.alike(await drive.get('/compressed.log', { start: line.byteLength * 100 }), line)
+
+  // appending to an uncompressed file keeps it uncompressed
+  await drive.put('/plain.log', line, { compression: null })
+  ws = drive.createWriteStream('/plain.log', { append: true })
+  ws.end(line)
+  await once(ws, 'close')
+  t.is((await drive.entry('/plain.log')).value.compression, null)
+  t.alike(await drive.get('/plain.log'), Buffer.concat([line, line]))
+  t.alike((await drive.verify()).problems, [])
+})
+
+test('drive.verify([folder])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/files/good', Buffer.from('good'))
+  await drive.put('/files/cleared', Buffer.from('cleared'))
+  await drive.put('/files/forged', Buffer.from('forged'))
+  await drive.put('/outside', Buffer.from('outside'))
+
+  const ws = drive.createWriteStream('/files/streamed')
+  ws.end(Buffer.from('streamed'))
+  await once(ws, 'close')
+
+  const good = await drive.entry('/files/good')
+  t.is(good.value.hash.length, 64)
+  t.is((await drive.entry('/files/streamed')).value.hash.length, 64)
+
+  const cleared = await drive.entry('/files/cleared')
+  await drive.blobs.core.clear(cleared.value.blob.blockOffset)
+
+  const forged = await drive.entry('/files/forged')
+  await drive.files.put('/files/forged', { ...forged.value, hash: good.value.hash })
+  await drive.files.put('/files/past', { ...good.value, blob: { ...good.value.blob, blockOffset: 1000 } })
+  await drive.files.put('/files/legacy', { ...good.value, hash: undefined })
+
+  const report = await drive.verify('/files')
+  t.is(report.verified, 2)
+  t.is(report.unhashed, 1)
+
+  const problems = report.problems.map(({ type, key }) => type + ' ' + key).sort()
+  t.alike(problems, ['mismatch /files/forged', 'missing /files/cleared', 'out-of-range /files/past'])
+})
+
+test('new Hyperdrive(corestore, { encryptionKey }) encrypts content', async (t) => {
+  const encryptionKey = Buffer.alloc(32, 'secret')
+  const corestore = new Corestore(ram)
+  const drive = new Hyperdrive(corestore, { encryptionKey })
+  t.teardown(() => drive.close())
+
+  const buf = Buffer.from('very secret content')
+  await drive.put('/secret', buf)
+  t.alike(await drive.get('/secret'), buf)
+  t.alike(await drive.get('/secret', { start: 5, length: 6 }), Buffer.from('secret'))
+
+  const chunks = []
+  for await (const chunk of drive.createReadStream('/secret', { start: 12 })) chunks.push(chunk)
+  t.alike(Buffer.concat(chunks), Buffer.from('content'))
+
+  const other = new Corestore(ram)
+  const raw = other.get({ key: drive.contentKey })
+  await raw.ready()
+  replicate(corestore, other)
+  t.absent((await raw.get(0)).includes(buf))
+
+  const locked = new Hyperdrive(other, drive.key)
+  t.teardown(() => locked.close())
+  await locked.ready()
+  await t.exception(locked.getBlobs(), /EENCRYPTED/)
+
+  const store = new Corestore(ram)
+  const unlocked = new Hyperdrive(store, drive.key, { encryptionKey })
+  t.teardown(() => unlocked.close())
+  await unlocked.ready()
+  replicate(corestore, store)
+  t.alike(await unlocked.get('/secret'), buf)
+})
+
+test('new Hyperdrive(corestore, { encryptionKey, encryptEntries: true }) encrypts entries', async (t) => {
+  const encryptionKey = Buffer.alloc(32, 'secret')
+  const corestore = new Corestore(ram)
+  const drive = new Hyperdrive(corestore, { encryptionKey, encryptEntries: true })
+  t.teardown(() => drive.close())
+
+  await drive.put('/secret-name', Buffer.from('content'), { metadata: { secret: true } })
+  t.alike(await drive.get('/secret-name'), Buffer.from('content'))
+
+  const other = new Corestore(ram)
+  const raw = other.get({ key: drive.key })
+  await raw.ready()
+  replicate(corestore, other)
+  t.absent((await raw.get(1)).includes(Buffer.from('secret-name')))
+
+  const locked = new Hyperdrive(other, drive.key)
+  t.teardown(() => locked.close())
+  await locked.ready()
+  await t.exception(locked.getBlobs(), /EENCRYPTED/)
+
+  const store = new Corestore(ram)
+  const unlocked = new Hyperdrive(store, drive.key, { encryptionKey, encryptEntries: true })
+  t.teardown(() => unlocked.close())
+  await unlocked.ready()
+  replicate(corestore, store)
+  t.alike(await unlocked.get('/secret-name'), Buffer.from('content'))
+  t.alike((await unlocked.entry('/secret-name')).value.metadata, { secret: true })
+})
+
+test('drive.compare(from, to, [folder])', async (t) => {
+  // deduplicated, so rewriting the same content only changes the metadata
+  const drive = new Hyperdrive(new Corestore(ram), { dedup: true })
+  t.teardown(() => drive.close())
+  await drive.put('/dir/same', Buffer.from('same'))
+  await drive.put('/dir/modified', Buffer.from('short'))
+  await drive.put('/dir/metadata', Buffer.from('metadata'))
+  await drive.put('/dir/deleted', Buffer.from('deleted'))
+  await drive.put('/dir/link', Buffer.from('file'))
+  await drive.put('/outside', Buffer.from('outside'))
+  const from = drive.version
+
+  await drive.put('/dir/modified', Buffer.from('longer content'))
+  await drive.put('/dir/metadata', Buffer.from('metadata'), { executable: true })
+  await drive.del('/dir/deleted')
+  await drive.symlink('/dir/link', '/dir/same')
+  await drive.put('/dir/added', Buffer.from('added'))
+  await drive.put('/outside', Buffer.from('changed'))
+  const to = drive.version
+
+  const changes = {}
+  for await (const change of drive.compare(from, to, '/dir')) changes[change.key] = change
+
+  t.alike(Object.keys(changes).sort(), ['/dir/added', '/dir/deleted', '/dir/link', '/dir/metadata', '/dir/modified'])
+  t.is(changes['/dir/added'].type, 'add')
+  t.is(changes['/dir/added'].delta, 5)
+  t.is(changes['/dir/deleted'].type, 'delete')
+  t.is(changes['/dir/deleted'].delta, -7)
+  t.is(changes['/dir/deleted'].to, null)
+  t.is(changes['/dir/modified'].type, 'modify')
+  t.is(changes['/dir/modified'].delta, 9)
+  t.is(changes['/dir/metadata'].type, 'metadata')
+  t.is(changes['/dir/metadata'].delta, 0)
+  t.is(changes['/dir/link'].type, 'type-change')
+
+  const reversed = []
+  for await (const change of drive.compare(to, from, '/dir')) reversed.push(change)
+  t.is(reversed.find(({ key }) => key === '/dir/added').type, 'delete')
+})
+
+test('drive.downloadDiff(version, folder, { types })', async (t) => {
+  const corestore = new Corestore(ram)
+  const drive = new Hyperdrive(corestore, { dedup: true })
+  t.teardown(() => drive.close())
+  await drive.ready()
+
+  const mirror = new Hyperdrive(new Corestore(ram), drive.key)
+  t.teardown(() => mirror.close())
+  await mirror.ready()
+
+  await drive.put('/dir/modified', Buffer.from('before'))
+  await drive.put('/dir/metadata', Buffer.from('metadata'))
+  const from = drive.version
+  await drive.put('/dir/modified', Buffer.from('after'))
+  await drive.put('/dir/metadata', Buffer.from('metadata'), { executable: true })
+  await drive.put('/dir/added', Buffer.from('added'))
+
+  replicate(corestore, mirror.corestore)
+  while (mirror.version < drive.version) await once(mirror.core, 'append')
+
+  await mirror.downloadDiff(from, '/dir', { types: ['add', 'modify'] }).done()
+
+  const blobs = await mirror.getBlobs()
+  const has = async (name) => {
+    const { blob } = (await drive.entry(name)).value
+    return blobs.core.has(blob.blockOffset)
+  }
+
+  t.ok(await has('/dir/added'))
+  t.ok(await has('/dir/modified'))
+  t.absent(await has('/dir/metadata'))
+})
+
+test('drive.mirror(dest, [options])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const dest = new Hyperdrive(new Corestore(ram))
+  t.teardown(() => dest.close())
+
+  await drive.put('/site/index.html', Buffer.from('index'))
+  await drive.put('/site/app.js', Buffer.from('app'), { executable: true })
+  await drive.symlink('/site/home.html', 'index.html')
+  await drive.put('/drafts/post.md', Buffer.from('draft'))
+  await dest.put('/site/old.html', Buffer.from('old'))
+
+  t.alike(await drive.mirror(dest, { prefix: '/site', dryRun: true, prune: true }), { added: 3, changed: 0, removed: 1, bytes: 8 })
+  t.is(await dest.get('/site/index.html'), null)
+
+  t.alike(await drive.mirror(dest, { prefix: '/site', prune: true }), { added: 3, changed: 0, removed: 1, bytes: 8 })
+  t.alike(await dest.get('/site/home.html'), Buffer.from('index'))
+  t.is((await dest.entry('/site/app.js')).value.executable, true)
+  t.is(await dest.entry('/site/old.html'), null)
+  t.is(await dest.entry('/drafts/post.md'), null)
+
+  t.alike(await drive.mirror(dest, { prefix: '/site' }), { added: 0, changed: 0, removed: 0, bytes: 0 })
+
+  const version = drive.version
+  await drive.put('/site/index.html', Buffer.from('index v2'))
+  await drive.put('/site/about.html', Buffer.from('about'))
+  await drive.del('/site/app.js')
+
+  const stats = await drive.mirror(dest, { prefix: '/site', prune: true, version, filter: (key) => key !== '/site/about.html' })
+  t.alike(stats, { added: 0, changed: 1, removed: 1, bytes: 8 })
+  t.alike(await dest.get('/site/index.html'), Buffer.from('index v2'))
+  t.is(await dest.entry('/site/about.html'), null)
+  t.is(await dest.entry('/site/app.js'), null)
+})
+
+test('LocalDrive import and export', async (t) => {
+  const { drive, paths: { tmp } } = await testenv(t.teardown)
+  const src = path.join(tmp, 'src')
+  fs.mkdirSync(path.join(src, 'bin'), { recursive: true })
+  fs.writeFileSync(path.join(src, 'README.md'), 'readme')
+  fs.writeFileSync(path.join(src, 'bin', 'run'), '#!/bin/sh')
+  fs.chmodSync(path.join(src, 'bin', 'run'), 0o755)
+  fs.symlinkSync('../README.md', path.join(src, 'bin', 'README.md'))
+
+  const local = new LocalDrive(src)
+  t.alike(await local.mirror(drive), { added: 3, changed: 0, removed: 0, bytes: 15 })
+  t.alike(await drive.get('/README.md'), Buffer.from('readme'))
+  t.is((await drive.entry('/bin/run')).value.executable, true)
+  t.is((await drive.entry('/README.md')).value.executable, false)
+  t.is((await drive.entry('/bin/README.md')).value.linkname, '../README.md')
+
+  t.alike(await local.mirror(drive), { added: 0, changed: 0, removed: 0, bytes: 0 })
+  fs.writeFileSync(path.join(src, 'README.md'), 'readme v2')
+  t.alike(await local.mirror(drive), { added: 0, changed: 1, removed: 0, bytes: 9 })
+
+  const out = new LocalDrive(path.join(tmp, 'out'))
+  t.alike(await drive.mirror(out, { prefix: '/bin' }), { added: 2, changed: 0, removed: 0, bytes: 9 })
+  t.is(fs.readFileSync(path.join(tmp, 'out', 'bin', 'run'), 'utf-8'), '#!/bin/sh')
+  t.ok(fs.statSync(path.join(tmp, 'out', 'bin', 'run')).mode & 0o100)
+  t.is(fs.readlinkSync(path.join(tmp, 'out', 'bin', 'README.md')), '../README.md')
+  t.alike(await drive.mirror(out, { prefix: '/bin' }), { added: 0, changed: 0, removed: 0, bytes: 0 })
+
+  const listed = []
+  for await (const node of local.list('/', { glob: ['bin/*'], ignore: ['README.md'] })) listed.push(node.key)
+  t.alike(listed, ['/bin/run'])
+})
+
+test('LocalDrive never writes outside of its root', async (t) => {
+  const { drive, paths: { tmp } } = await testenv(t.teardown)
+  const outside = path.join(tmp, 'outside')
+  fs.mkdirSync(outside)
+  fs.writeFileSync(path.join(outside, 'file'), 'outside')
+
+  await drive.symlink('/evil', outside)
+  await drive.put('/evil/pwned', Buffer.from('pwned'))
+
+  const out = new LocalDrive(path.join(tmp, 'out'))
+  await t.exception(drive.mirror(out), /EACCES/)
+  t.absent(fs.existsSync(path.join(outside, 'pwned')))
+
+  await t.exception(out.put('/evil/pwned', Buffer.from('pwned')), /EACCES/)
+  await t.exception(out.del('/evil/file'), /EACCES/)
+  await t.exception(out.mkdir('/evil/folder'), /EACCES/)
+  t.is(fs.readFileSync(path.join(outside, 'file'), 'utf-8'), 'outside')
+
+  // a symlink at the path itself is replaced, instead of written through
+  fs.symlinkSync(path.join(outside, 'file'), path.join(tmp, 'out', 'link'))
+  await out.put('/link', Buffer.from('inside'))
+  t.is(fs.readFileSync(path.join(outside, 'file'), 'utf-8'), 'outside')
+  t.is(fs.readFileSync(path.join(tmp, 'out', 'link'), 'utf-8'), 'inside')
+})
+
+test('serve a drive over http', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/site/index.html', Buffer.from('<h1>hello</h1>'))
+  await drive.put('/site/data.bin', Buffer.from('0123456789'))
+  await drive.symlink('/site/latest.html', '/site/index.html')
+  const version = drive.version
+  await drive.put('/site/index.html', Buffer.from('<h1>hello again</h1>'))
+  await drive.put('/site/what?#1 2.txt', Buffer.from('odd'))
+
+  const server = http.createServer(createHandler(drive, { listing: true }))
+  server.listen(0)
+  await once(server, 'listening')
+  t.teardown(() => server.close())
+
+  const get = (pathname, headers = {}, method = 'GET') => new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, path: pathname, headers, method }, (res) => {
+      const chunks = []
+      res.on('data', (chunk) => chunks.push(chunk))
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }))
+    })
+    req.on('error', reject)
+    req.end()
+  })
+
+  let res = await get('/site/index.html')
+  t.is(res.status, 200)
+  t.is(res.body, '<h1>hello again</h1>')
+  t.is(res.headers['content-length'], '20')
+  t.is(res.headers['content-type'], 'text/html; charset=utf-8')
+
+  t.is((await get('/site/index.html', { 'if-none-match': res.headers.etag })).status, 304)
+  t.is((await get('/site/latest.html')).body, '<h1>hello again</h1>')
+  t.is((await get('/site/index.html?version=' + version)).body, '<h1>hello</h1>')
+  t.is((await get('/site/index.html?version=nope')).status, 404)
+  t.is((await get('/site/index.html?version=99999')).status, 404)
+  t.is((await get('/site/missing')).status, 404)
+  t.is((await get('/site/index.html', {}, 'POST')).status, 405)
+
+  res = await get('/site/data.bin', { range: 'bytes=2-5' })
+  t.is(res.status, 206)
+  t.is(res.body, '2345')
+  t.is(res.headers['content-range'], 'bytes 2-5/10')
+  t.is((await get('/site/data.bin', { range: 'bytes=-3' })).body, '789')
+  t.is((await get('/site/data.bin', { range: 'bytes=20-' })).status, 416)
+
+  res = await get('/site/data.bin', {}, 'HEAD')
+  t.is(res.headers['content-length'], '10')
+  t.is(res.body, '')
+
+  res = await get('/site/')
+  t.is(res.status, 200)
+  t.ok(res.body.includes('<a href="/site/data.bin">data.bin</a>'))
+  t.ok(res.body.includes('<a href="/site/index.html">index.html</a>'))
+  t.ok(res.body.includes('<a href="/site/what%3F%231%202.txt">what?#1 2.txt</a>'))
+  t.is((await get('/site/what%3F%231%202.txt')).body, 'odd')
+
+  const unlisted = http.createServer(createHandler(drive))
+  unlisted.listen(0)
+  await once(unlisted, 'listening')
+  t.teardown(() => unlisted.close())
+  t.is(await new Promise((resolve) => http.get({ port: unlisted.address().port, path: '/site' }, (res) => resolve(res.statusCode))), 404)
+})
+
+test('drive.list(folder, { glob, ignore, ignoreFiles })', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const nil = Buffer.from('nil')
+  await drive.put('/app/assets/logo.png', nil)
+  await drive.put('/app/assets/icons/close.png', nil)
+  await drive.put('/app/assets/style.css', nil)
+  await drive.put('/app/node_modules/dep/image.png', nil)
+  await drive.put('/app/.git/HEAD', nil)
+  await drive.put('/app/src/.git/HEAD', nil)
+  await drive.put('/app/src/index.js', nil)
+  await drive.put('/app/src/index.test.js', nil)
+  await drive.put('/app/src/generated/out.js', nil)
+  await drive.put('/other/logo.png', nil)
+
+  const keys = async (stream) => {
+    const result = []
+    for await (const node of stream) result.push(node.key)
+    return result
+  }
+
+  t.alike(await keys(drive.list('/app', { glob: ['**/*.png'] })), ['/app/assets/icons/close.png', '/app/assets/logo.png', '/app/node_modules/dep/image.png'])
+  t.alike(await keys(drive.list('/app', { glob: ['assets/*.png'] })), ['/app/assets/logo.png'])
+  t.alike(await keys(drive.list('/app', { glob: ['**/*.png'], ignore: ['node_modules/**'] })), ['/app/assets/icons/close.png', '/app/assets/logo.png'])
+  t.alike(await keys(drive.list('/app', { ignore: ['.git', 'assets', 'node_modules/', '!assets/style.css', 'src'] })), ['/app/assets/style.css'])
+  t.alike(await keys(drive.entries({ glob: ['other/*'] })), ['/other/logo.png'])
+
+  await drive.put('/app/.driveignore', Buffer.from('# dependencies\nnode_modules\n.git\n'))
+  await drive.put('/app/src/.driveignore', Buffer.from('*.test.js\n/generated\n'))
+  t.alike(await keys(drive.list('/app/src', { ignoreFiles: true })), ['/app/src/.driveignore', '/app/src/index.js'])
+  t.alike(await keys(drive.list('/app', { glob: ['**/*.png'], ignoreFiles: true })), ['/app/assets/icons/close.png', '/app/assets/logo.png'])
+
+  const dest = new Hyperdrive(new Corestore(ram))
+  t.teardown(() => dest.close())
+  const stats = await drive.mirror(dest, { prefix: '/app', glob: ['**/*.js'], ignoreFiles: true })
+  t.is(stats.added, 1)
+  t.ok(await dest.entry('/app/src/index.js'))
+})
+
+test('drive.watch(folder)', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  const watcher = drive.watch('/parent')
+  const events = watcher[Symbol.asyncIterator]()
+
+  const version = drive.version
+  await drive.put('/parent/a', Buffer.from('a'))
+
+  let { value: event } = await events.next()
+  t.is(event.previous, version)
+  t.is(event.current, drive.version)
+  t.alike(event.changes.map(({ left }) => left.key), ['/parent/a'])
+
+  // changes outside the folder are not emitted, and no change is lost while the consumer is busy
+  await drive.put('/sibling', Buffer.from('sibling'))
+  await drive.put('/parent/b', Buffer.from('b'))
+  await drive.del('/parent/a')
+
+  const keys = []
+  while (event.current < drive.version) {
+    const previous = event.current
+    event = (await events.next()).value
+    t.is(event.previous, previous)
+    for (const { left, right } of event.changes) keys.push((left || right).key)
+  }
+  t.alike(keys.sort(), ['/parent/a', '/parent/b'])
+
+  await events.return()
+  t.ok(watcher.destroyed)
+
+  // a watcher waiting for changes fails once its drive is closed
+  const pending = drive.watch('/parent')[Symbol.asyncIterator]().next()
+  await drive.close()
+  await t.exception(pending, /ECLOSED/)
+})
+
+test('drive.watch(folder) emits remote changes', async (t) => {
+  const { drive, mirror, corestore } = await testenv(t.teardown)
+  replicate(corestore, mirror.corestore)
+
+  await drive.put('/parent/a', Buffer.from('a'))
+  while (mirror.drive.version < drive.version) await once(mirror.drive.core, 'append')
+
+  const watcher = mirror.drive.watch('/parent')
+  const events = watcher[Symbol.asyncIterator]()
+
+  await drive.put('/parent/b', Buffer.from('b'))
+  const { value: event } = await events.next()
+  t.alike(event.changes.map(({ left }) => left.key), ['/parent/b'])
+  t.alike(await mirror.drive.get('/parent/b'), Buffer.from('b'))
+
+  await events.return()
+})
+
 test('drive.entries()', async (t) => {
   const { drive, paths: { root } } = await testenv(t.teardown)
   const entries = new Set()
@@ -351,6 +1252,72 @@ test('drive.list(folder, { recursive })', async (t) => {
   }
 })
 
+test('drive.mkdir(path) & drive.rmdir(path, [options])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+
+  await drive.mkdir('/empty', { metadata: { color: 'red' }, mtime: 1000 })
+  await drive.put('/full/file', Buffer.from('file'))
+  await drive.symlink('/full/link', 'file')
+
+  const st = await drive.stat('/empty')
+  t.is(st.type, 'directory')
+  t.is(st.mtime, 1000)
+  t.is((await drive.stat('/full')).type, 'directory')
+  t.alike((await drive.entry('/empty')).value.metadata, { color: 'red' })
+
+  await drive.mkdir('/full/sub')
+  const types = []
+  for await (const dirent of drive.readdir('/full', { withFileTypes: true })) types.push(dirent)
+  t.alike(types, [{ name: 'file', type: 'file' }, { name: 'link', type: 'symlink' }, { name: 'sub', type: 'directory' }])
+
+  const keys = []
+  for await (const { key } of drive.list('/')) keys.push(key)
+  t.alike(keys, ['/empty', '/full/file', '/full/link', '/full/sub'])
+
+  await t.exception(drive.mkdir('/empty'), /EEXIST/)
+  await t.exception(drive.mkdir('/full/file'), /EEXIST/)
+  await t.exception(drive.put('/empty', Buffer.from('x')), /EISDIR/)
+  await t.exception(drive.del('/empty'), /EISDIR/)
+  await t.exception(drive.get('/empty'), /EISDIR/)
+
+  await t.exception(drive.rmdir('/full'), /ENOTEMPTY/)
+  await t.exception(drive.rmdir('/full/file'), /ENOTDIR/)
+  await t.exception(drive.rmdir('/missing'), /ENOENT/)
+
+  await drive.rmdir('/empty')
+  t.is(await drive.stat('/empty'), null)
+
+  // the whole tree is removed in a single append to the drive
+  let appends = 0
+  drive.core.on('append', () => appends++)
+
+  await drive.rmdir('/full', { recursive: true })
+  t.is(appends, 1)
+  t.is(await drive.stat('/full'), null)
+  t.is(await drive.entry('/full/file'), null)
+})
+
+test('drive.mirror(dest) & drive.createTarStream() keep empty folders', async (t) => {
+  const { drive, paths: { tmp } } = await testenv(t.teardown)
+
+  await drive.mkdir('/site/empty')
+  await drive.put('/site/index.html', Buffer.from('hi'))
+
+  const local = new LocalDrive(tmp)
+  await drive.mirror(local)
+  t.ok(fs.statSync(path.join(tmp, 'site/empty')).isDirectory())
+  t.is((await drive.mirror(local)).added, 0)
+
+  const copy = new Hyperdrive(new Corestore(ram))
+  await copy.extractTar(drive.createTarStream('/site'), '/site')
+  t.is((await copy.stat('/site/empty')).type, 'directory')
+
+  await drive.rmdir('/site/empty')
+  const stats = await drive.mirror(copy, { prune: true })
+  t.is(stats.removed, 1)
+  t.is(await copy.stat('/site/empty'), null)
+})
+
 test('drive.readdir(path)', async (t) => {
   {
     const { drive, paths: { root } } = await testenv(t.teardown)
@@ -409,6 +1376,68 @@ test('drive.checkout(len)', async (t) => {
   }
 })
 
+test('drive.tag(name, [version]) and drive.checkout(name)', async (t) => {
+  const { drive, mirror, corestore } = await testenv(t.teardown)
+  await drive.put('/file', Buffer.from('v1'))
+  const version = drive.version
+  await drive.tag('release-1')
+  await drive.put('/file', Buffer.from('v2'))
+  const latest = drive.version
+  await drive.tag('release-2')
+  await drive.tag('first', 2)
+  await t.exception(drive.tag('future', drive.version + 1), /EINVAL/)
+
+  const tags = []
+  for await (const tag of drive.tags()) tags.push(tag)
+  t.alike(tags, [{ name: 'first', version: 2 }, { name: 'release-1', version }, { name: 'release-2', version: latest }])
+
+  const keys = []
+  for await (const { key } of drive.entries()) keys.push(key)
+  t.alike(keys, ['/file'])
+
+  const snapshot = await drive.checkout('release-1')
+  t.is(snapshot.version, version)
+  t.alike(await snapshot.get('/file'), Buffer.from('v1'))
+  t.alike(await (await drive.checkout('release-2')).get('/file'), Buffer.from('v2'))
+
+  await drive.untag('release-2')
+  await t.exception(drive.checkout('release-2'), /ENOENT/)
+
+  replicate(corestore, mirror.corestore)
+  while (mirror.drive.version < drive.version) await once(mirror.drive.core, 'append')
+  const remote = await mirror.drive.checkout('release-1')
+  t.alike(await remote.get('/file'), Buffer.from('v1'))
+})
+
+test('drive.history(path, [options])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+  await drive.put('/file', Buffer.from('v1'))
+  const v1 = drive.version
+  await drive.put('/other', Buffer.from('other'))
+  await drive.put('/file', Buffer.from('v2'))
+  const v2 = drive.version
+  await drive.symlink('/file', '/other')
+  await drive.del('/file')
+
+  const history = []
+  for await (const change of drive.history('/file')) history.push(change)
+  t.alike(history.map(({ type }) => type), ['put', 'put', 'symlink', 'del'])
+  t.alike(history.map(({ version }) => version).slice(0, 2), [v1, v2])
+  t.is(history[2].entry.value.linkname, '/other')
+  t.is(history[3].entry, null)
+
+  const snapshot = drive.checkout(history[0].version)
+  t.alike(await snapshot.get(history[0].entry), Buffer.from('v1'))
+
+  const reversed = []
+  for await (const change of drive.history('/file', { reverse: true, limit: 2 })) reversed.push(change.type)
+  t.alike(reversed, ['del', 'symlink'])
+
+  const ranged = []
+  for await (const change of drive.history('/file', { gte: v1 + 1, lte: v2 })) ranged.push(change.version)
+  t.alike(ranged, [v2])
+})
+
 test('drive.download(folder, [options])', async (t) => {
   t.plan(7)
   const { corestore, drive, swarm, mirror } = await testenv(t.teardown)
@@ -440,7 +1469,7 @@ test('drive.download(folder, [options])', async (t) => {
   await drive.put('/parent/sibling/grandchild1', nil)
 
   t.is(count, 0)
-  await mirror.drive.download('/parent/child')
+  await mirror.drive.download('/parent/child').done()
   t.is(max, l - 1)
   const _count = count
   t.ok(await mirror.drive.get('/parent/child/grandchild1'))
@@ -452,6 +1481,144 @@ test('drive.download(folder, [options])', async (t) => {
   t.is(count, _count + 1)
 })
 
+test('drive.download(folder) returns a handle with progress', async (t) => {
+  const { drive, mirror, corestore } = await testenv(t.teardown)
+  await drive.put('/dir/a', Buffer.from('aaa'))
+  await drive.put('/dir/b', Buffer.from('bb'))
+  await drive.put('/other', Buffer.from('other'))
+
+  replicate(corestore, mirror.corestore)
+  while (mirror.drive.version < drive.version) await once(mirror.drive.core, 'append')
+
+  const handle = mirror.drive.download('/dir')
+  const progress = []
+  handle.on('progress', (p) => progress.push(p))
+
+  const stats = await handle.done()
+  t.alike(stats.files, { done: 2, total: 2 })
+  t.alike(stats.bytes, { done: 5, total: 5 })
+  t.alike(stats.failed, [])
+  t.is(progress.length, 2)
+  t.alike(progress[1], { files: stats.files, bytes: stats.bytes })
+})
+
+test('drive.mount(path, key, [options])', async (t) => {
+  const { drive, corestore } = await testenv(t.teardown)
+
+  const assets = new Hyperdrive(corestore.namespace('assets'))
+  await assets.put('/logo.png', Buffer.from('v1'))
+  await assets.put('/css/site.css', Buffer.from('body {}'))
+  const version = assets.version
+  await assets.put('/logo.png', Buffer.from('v2'))
+
+  await drive.put('/index.html', Buffer.from('hi'))
+  await drive.mount('/assets', assets.key)
+  await drive.mount('/pinned', assets.key, { version })
+
+  t.alike(await drive.get('/assets/logo.png'), Buffer.from('v2'))
+  t.alike(await drive.get('/pinned/logo.png'), Buffer.from('v1'))
+  t.is((await drive.entry('/assets/css/site.css')).key, '/assets/css/site.css')
+  t.is((await drive.stat('/assets')).type, 'directory')
+  t.is((await drive.stat('/assets/css')).type, 'directory')
+  await t.exception(drive.get('/assets'), /EISDIR/)
+
+  const chunks = []
+  for await (const chunk of drive.createReadStream('/pinned/css/site.css')) chunks.push(chunk)
+  t.alike(Buffer.concat(chunks), Buffer.from('body {}'))
+
+  const keys = []
+  for await (const { key } of drive.list('/')) keys.push(key)
+  t.alike(keys, ['/assets/css/site.css', '/assets/logo.png', '/index.html', '/pinned/css/site.css', '/pinned/logo.png'])
+
+  const names = []
+  for await (const name of drive.readdir('/assets')) names.push(name)
+  t.alike(names, ['css', 'logo.png'])
+
+  const types = []
+  for await (const dirent of drive.readdir('/', { withFileTypes: true })) types.push(dirent)
+  t.alike(types, [{ name: 'assets', type: 'directory' }, { name: 'index.html', type: 'file' }, { name: 'pinned', type: 'directory' }])
+
+  const mounts = []
+  for await (const mount of drive.mounts()) mounts.push(mount)
+  t.alike(mounts, [{ path: '/assets', key: assets.key, version: 0 }, { path: '/pinned', key: assets.key, version }])
+
+  await t.exception(drive.mount('/index.html', assets.key), /EEXIST/)
+  await t.exception(drive.put('/assets', Buffer.from('x')), /EISDIR/)
+
+  // the mounted drive is read-only through this one, and would hide entries of its own below the mount point
+  await t.exception(drive.put('/assets/new', Buffer.from('x')), /EROFS/)
+  await t.exception(drive.write('/assets/logo.png', Buffer.from('x'), 1), /EROFS/)
+  await t.exception(pipeline(Readable.from([Buffer.from('x')]), drive.createWriteStream('/assets/logo.png', { append: true })), /EROFS/)
+  await drive.symlink('/logo.png', '/assets/logo.png')
+  await t.exception(drive.write('/logo.png', Buffer.from('x'), 1), /EROFS/)
+  await t.exception(pipeline(Readable.from([Buffer.from('x')]), drive.createWriteStream('/logo.png', { append: true })), /EROFS/)
+  await drive.del('/logo.png')
+  await t.exception(drive.del('/assets/logo.png'), /EROFS/)
+  await t.exception(drive.mkdir('/assets/css/fonts'), /EROFS/)
+  await t.exception(drive.rmdir('/assets/css', { recursive: true }), /EROFS/)
+  await t.exception(drive.copy('/index.html', '/assets/index.html'), /EROFS/)
+  await t.exception(drive.mount('/assets/nested', assets.key), /EROFS/)
+  await drive.put('/local/file', Buffer.from('x'))
+  await t.exception(drive.mount('/local', assets.key), /ENOTEMPTY/)
+
+  await drive.unmount('/pinned')
+  t.is(await drive.get('/pinned/logo.png'), null)
+  await t.exception(drive.unmount('/pinned'), /ENOENT/)
+})
+
+test('drive.mount(path, key) detects cycles of mounts', async (t) => {
+  const { drive, corestore } = await testenv(t.teardown)
+
+  await drive.put('/file', Buffer.from('file'))
+  await drive.mount('/self', drive.key)
+  await t.exception(toArray(drive.list('/')), /ELOOP/)
+  await t.exception(drive.get('/self/file'), /ELOOP/)
+  await drive.unmount('/self')
+
+  const other = new Hyperdrive(corestore.namespace('other'))
+  await other.ready()
+  await other.mount('/back', drive.key)
+  await drive.mount('/other', other.key)
+
+  await t.exception(toArray(drive.list('/')), /ELOOP/)
+  await t.exception(drive.download('/').done(), /ELOOP/)
+  await t.exception(toArray(drive.createTarStream('/')), /ELOOP/)
+  await t.exception(toArray(drive.readdir('/other/back/other')), /ELOOP/)
+})
+
+test('drive.download(folder) downloads the content of mounted drives', async (t) => {
+  const { drive, mirror, corestore } = await testenv(t.teardown)
+
+  const assets = new Hyperdrive(corestore.namespace('assets'))
+  await assets.put('/a', Buffer.from('aaa'))
+  await drive.mount('/assets', assets.key)
+
+  replicate(corestore, mirror.corestore)
+  while (mirror.drive.version < drive.version) await once(mirror.drive.core, 'append')
+
+  const stats = await mirror.drive.download('/').done()
+  t.alike(stats.files, { done: 1, total: 1 })
+  t.alike(stats.bytes, { done: 3, total: 3 })
+  t.alike(await mirror.drive.get('/assets/a'), Buffer.from('aaa'))
+})
+
+test('drive.downloadRange(dbRanges, blobRanges) can be destroyed', async (t) => {
+  const { drive, mirror, corestore } = await testenv(t.teardown)
+  await drive.put('/file', Buffer.from('file'))
+
+  replicate(corestore, mirror.corestore)
+  while (mirror.drive.version < drive.version) await once(mirror.drive.core, 'append')
+
+  // blocks that are never appended, so the download can only be cancelled
+  const blobs = await mirror.drive.getBlobs()
+  const handle = mirror.drive.downloadRange([], [{ start: blobs.core.length + 10, length: 1 }])
+  await new Promise((resolve) => setImmediate(resolve))
+
+  handle.destroy()
+  await t.exception(handle.done(), /ECANCELLED/)
+  t.is(handle.files.done, 0)
+})
+
 test.skip('drive.downloadRange(dbRanges, blobRanges)', async (t) => {
   const { drive, swarm, mirror, corestore } = await testenv(t.teardown)
   swarm.on('connection', (conn) => corestore.replicate(conn))
@@ -506,7 +1673,7 @@ test.skip('drive.downloadDiff(version, folder, [options])', async (t) => {
   const filestelem = downloadShark(mirror.drive.core)
   const blobstelem = downloadShark((await mirror.drive.getBlobs()).core)
 
-  await mirror.drive.downloadDiff(version, '/parent/child')
+  await mirror.drive.downloadDiff(version, '/parent/child').done()
 
   let filescount = filestelem.count
   let blobscount = blobstelem.count
@@ -518,7 +1685,7 @@ test.skip('drive.downloadDiff(version, folder, [options])', async (t) => {
 
   await drive.put('/parent/child/2', nil)
 
-  await mirror.drive.downloadDiff(version, '/parent/child')
+  await mirror.drive.downloadDiff(version, '/parent/child').done()
 
   t.is(blobscount + 1, blobstelem.count)
 
@@ -531,6 +1698,92 @@ test.skip('drive.downloadDiff(version, folder, [options])', async (t) => {
   t.is(blobscount + 1, blobstelem.count)
 })
 
+test('drive.createTarStream(folder, [options]) & drive.extractTar(stream, [prefix])', async (t) => {
+  const { drive } = await testenv(t.teardown)
+
+  await drive.put('/site/index.html', Buffer.from('<h1>hi</h1>'), { metadata: { author: 'me' }, mtime: 1000 })
+  await drive.put('/site/bin/run', Buffer.from('#!/bin/sh'), { executable: true })
+  await drive.symlink('/site/home.html', 'index.html')
+  await drive.put('/other', Buffer.from('not in the folder'))
+  const version = drive.version
+
+  await drive.put('/site/index.html', Buffer.from('<h1>changed</h1>'))
+
+  const copy = new Hyperdrive(new Corestore(ram))
+  await copy.extractTar(drive.createTarStream('/site', { version }), '/imported')
+
+  const keys = []
+  for await (const { key } of copy.list('/')) keys.push(key)
+  t.alike(keys, ['/imported/bin/run', '/imported/home.html', '/imported/index.html'])
+
+  const index = await copy.entry('/imported/index.html')
+  t.is((await copy.get('/imported/index.html')).toString(), '<h1>hi</h1>')
+  t.alike(index.value.metadata, { author: 'me' })
+  t.is(index.value.mtime, 1000)
+  t.is((await copy.entry('/imported/bin/run')).value.executable, true)
+  t.is(index.value.executable, false)
+  t.is((await copy.entry('/imported/home.html')).value.linkname, 'index.html')
+
+  const latest = new Hyperdrive(new Corestore(ram))
+  await latest.extractTar(drive.createTarStream('/site'))
+  t.is((await latest.get('/index.html')).toString(), '<h1>changed</h1>')
+})
+
+test('drive.extractTar(stream) writes nothing if the archive is broken', async (t) => {
+  const { drive } = await testenv(t.teardown)
+
+  await drive.put('/a', Buffer.alloc(1024, 'a'))
+  await drive.put('/b', Buffer.alloc(1024, 'b'))
+
+  const chunks = []
+  for await (const chunk of drive.createTarStream('/')) chunks.push(chunk)
+  const archive = Buffer.concat(chunks)
+
+  const copy = new Hyperdrive(new Corestore(ram))
+  // cut off in the middle of the content of the second file
+  await t.exception(copy.extractTar(Readable.from([archive.subarray(0, 2048)])))
+  t.is(copy.version, 1)
+  t.is(await copy.entry('/a'), null)
+})
+
+test('errors have fs compatible codes', async (t) => {
+  const { drive } = await testenv(t.teardown)
+
+  await drive.put('/folder/file', Buffer.from('file'))
+  await drive.put('/empty', Buffer.alloc(0))
+  await drive.symlink('/link', '/folder/file')
+
+  t.is(await drive.get('/missing'), null)
+  t.alike(await drive.get('/empty'), Buffer.alloc(0))
+  await t.exception(drive.get('/folder'), /EISDIR/)
+  await t.exception(drive.get('/link', { follow: false }), /ELOOP/)
+  await t.exception(drive.open('/missing'), /ENOENT/)
+  await t.exception(drive.open('/folder'), /EISDIR/)
+  await t.exception(pipeline(drive.createReadStream('/missing'), new Writable()), /ENOENT/)
+  await t.exception(pipeline(drive.readdir('/folder/file'), new Writable()), /ENOTDIR/)
+
+  const snapshot = drive.checkout(drive.version)
+  await t.exception(snapshot.put('/x', Buffer.from('x')), /ESNAPSHOT/)
+  await t.exception(snapshot.del('/folder/file'), /ESNAPSHOT/)
+  await t.exception(pipeline(Readable.from([Buffer.from('x')]), snapshot.createWriteStream('/x')), /ESNAPSHOT/)
+  t.exception(() => snapshot.batch(), /ESNAPSHOT/)
+
+  await drive.close()
+  await t.exception(drive.get('/folder/file'), /ECLOSED/)
+  await t.exception(drive.stat('/folder'), /ECLOSED/)
+  await t.exception(drive.put('/x', Buffer.from('x')), /ECLOSED/)
+  await t.exception(drive.del('/folder/file'), /ECLOSED/)
+  await t.exception(drive.symlink('/other', '/folder/file'), /ECLOSED/)
+  await t.exception(drive.mkdir('/dir'), /ECLOSED/)
+  await t.exception(drive.copy('/folder', '/copy'), /ECLOSED/)
+  await t.exception(drive.tag('v1'), /ECLOSED/)
+  await t.exception(pipeline(drive.history('/folder/file'), new Writable()), /ECLOSED/)
+  await t.exception(pipeline(drive.list('/'), new Writable()), /ECLOSED/)
+  await t.exception(pipeline(drive.readdir('/'), new Writable()), /ECLOSED/)
+  await t.exception(pipeline(drive.diff(0), new Writable()), /ECLOSED/)
+  await t.exception(pipeline(drive.watch('/'), new Writable()), /ECLOSED/)
+})
+
 test('drive.batch() & drive.flush()', async (t) => {
   const { drive } = await testenv(t.teardown)
   const batch = drive.batch()
@@ -607,6 +1860,12 @@ function filter (x) {
   return !(/node_modules|\.git/.test(x))
 }
 
+function replicate (a, b) {
+  const s1 = a.replicate(true)
+  const s2 = b.replicate(false)
+  s1.pipe(s2).pipe(s1)
+}
+
 function downloadShark (core) {
   const telem = { offsets: [], count: 0 }
   core.on('download', (offset) => {
@@ -615,3 +1874,9 @@ function downloadShark (core) {
   })
   return telem
 }
+
+async function toArray (stream) {
+  const all = []
+  for await (const item of await stream) all.push(item)
+  return all
+}